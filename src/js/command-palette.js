@@ -0,0 +1,304 @@
+/**
+ * COMMAND PALETTE
+ * Eva Qi Portfolio - Site Search Overlay
+ * 
+ * FEATURES:
+ * - Modal search box with a listbox of results (combobox pattern)
+ * - Fuzzy matching: letters in order, favouring word starts and runs
+ * - Arrow keys / Enter / Escape, mouse hover and click
+ * - Items come from a loader, built on first open (no search service)
+ * 
+ * USAGE:
+ *   const palette = new CommandPalette({
+ *       loadItems: () => Promise.resolve([{ type: 'Page', title: 'Journey', subtitle: '', keywords: '', href: 'journey.html' }]),
+ *       onSelect: item => { ...go to item.href... }
+ *   });
+ *   palette.open();
+ */
+
+const COMMAND_PALETTE_MAX_RESULTS = 8;
+
+/**
+ * Fuzzy score of a query against a text: -1 when the letters do not all appear in order
+ */
+function fuzzyScore(query, text) {
+    const haystack = text.toLowerCase();
+    const needle = query.toLowerCase().replace(/\s+/g, ' ').trim();
+    if (!needle) return 0;
+    
+    // Whole substring matches beat scattered letters
+    const index = haystack.indexOf(needle);
+    if (index !== -1) {
+        const atWordStart = index === 0 || /[\s\-·&(]/.test(haystack[index - 1]);
+        return 100 + needle.length * 2 + (atWordStart ? 20 : 0) - index * 0.1;
+    }
+    
+    let score = 0;
+    let position = 0;
+    let run = 0;
+    
+    for (const char of needle) {
+        if (char === ' ') continue;
+        
+        const found = haystack.indexOf(char, position);
+        if (found === -1) return -1;
+        
+        run = found === position ? run + 1 : 0;
+        score += 1 + run * 2;
+        if (found === 0 || /[\s\-·&(]/.test(haystack[found - 1])) {
+            score += 5;
+        }
+        score -= (found - position) * 0.05; // Gaps cost a little
+        position = found + 1;
+    }
+    
+    return Math.max(score, 0.01);
+}
+
+class CommandPalette {
+    constructor(options = {}) {
+        this.loadItems = options.loadItems || (() => Promise.resolve([]));
+        this.onSelect = options.onSelect || (() => {});
+        this.maxResults = options.maxResults || COMMAND_PALETTE_MAX_RESULTS;
+        
+        this.items = [];
+        this.results = [];
+        this.activeIndex = 0;
+        this.isOpen = false;
+        this.loading = null;
+        this.returnFocus = null;
+        
+        this.element = null;
+        this.input = null;
+        this.list = null;
+        this.status = null;
+        
+        this.create();
+    }
+    
+    /**
+     * Build the (hidden) dialog and wire its events
+     */
+    create() {
+        this.element = document.createElement('div');
+        this.element.className = 'command-palette';
+        this.element.hidden = true;
+        this.element.innerHTML = `
+            <div class="command-palette-backdrop"></div>
+            <div class="command-palette-panel" role="dialog" aria-modal="true" aria-label="Search the site">
+                <input class="command-palette-input" type="text" autocomplete="off" spellcheck="false"
+                       role="combobox" aria-expanded="true" aria-autocomplete="list"
+                       aria-controls="command-palette-results" aria-label="Search the site"
+                       placeholder="Search pages, projects, milestones…">
+                <ul class="command-palette-results" id="command-palette-results" role="listbox" aria-label="Results"></ul>
+                <p class="command-palette-status" role="status"></p>
+                <p class="command-palette-hint" aria-hidden="true">↑↓ to move · Enter to open · Esc to close</p>
+            </div>
+        `;
+        
+        this.input = this.element.querySelector('.command-palette-input');
+        this.list = this.element.querySelector('.command-palette-results');
+        this.status = this.element.querySelector('.command-palette-status');
+        
+        this.input.addEventListener('input', () => this.search());
+        this.input.addEventListener('keydown', e => this.handleKeydown(e));
+        this.element.querySelector('.command-palette-backdrop').addEventListener('click', () => this.close());
+        
+        this.list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.setActive(Number(option.dataset.index));
+            }
+        });
+        
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.select(Number(option.dataset.index));
+            }
+        });
+        
+        document.body.appendChild(this.element);
+    }
+    
+    /**
+     * Show the palette and load the items the first time
+     */
+    open() {
+        if (this.isOpen) return;
+        
+        this.isOpen = true;
+        this.returnFocus = document.activeElement;
+        this.element.hidden = false;
+        this.input.value = '';
+        this.input.focus();
+        
+        if (!this.loading) {
+            this.status.textContent = 'Building the index…';
+            this.loading = this.loadItems().then((items) => {
+                this.items = items;
+            }).catch((error) => {
+                console.warn('Search index failed:', error);
+                this.loading = null; // Try again next time
+            });
+        }
+        
+        this.loading.then(() => this.search());
+    }
+    
+    /**
+     * Hide the palette and hand focus back
+     */
+    close() {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        this.element.hidden = true;
+        
+        if (this.returnFocus && this.returnFocus.isConnected) {
+            this.returnFocus.focus({ preventScroll: true });
+        }
+        this.returnFocus = null;
+    }
+    
+    /**
+     * Open if closed, close if open
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    /**
+     * Rank the items for the current query and render the best ones
+     */
+    search() {
+        if (!this.isOpen) return;
+        
+        const query = this.input.value.trim();
+        
+        if (!query) {
+            // Nothing typed yet: the pages, in site map order
+            this.results = this.items.filter(item => item.type === 'Page').slice(0, this.maxResults);
+        } else {
+            this.results = this.items
+                .map((item) => {
+                    const title = fuzzyScore(query, item.title);
+                    const rest = fuzzyScore(query, `${item.subtitle || ''} ${item.keywords || ''}`);
+                    // Titles match fuzzily and count double; longer fields only as a whole substring
+                    return { item, score: Math.max(title * 2, rest >= 100 ? rest : 0) };
+                })
+                .filter(result => result.score > 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, this.maxResults)
+                .map(result => result.item);
+        }
+        
+        this.render(query);
+    }
+    
+    /**
+     * Results as listbox options
+     */
+    render(query) {
+        this.list.replaceChildren(...this.results.map((item, index) => {
+            const option = document.createElement('li');
+            option.className = 'command-palette-result';
+            option.id = `command-palette-option-${index}`;
+            option.setAttribute('role', 'option');
+            option.dataset.index = index;
+            
+            const type = document.createElement('span');
+            type.className = 'command-palette-type';
+            type.textContent = item.type;
+            
+            const title = document.createElement('span');
+            title.className = 'command-palette-title';
+            title.textContent = item.title;
+            
+            option.append(type, title);
+            
+            if (item.subtitle) {
+                const subtitle = document.createElement('span');
+                subtitle.className = 'command-palette-subtitle';
+                subtitle.textContent = item.subtitle;
+                option.appendChild(subtitle);
+            }
+            
+            return option;
+        }));
+        
+        if (this.results.length > 0) {
+            const count = this.results.length;
+            this.status.textContent = query ? `${count} ${count === 1 ? 'result' : 'results'}` : '';
+        } else {
+            this.status.textContent = query ? `No results for “${query}”` : '';
+        }
+        
+        this.setActive(0);
+    }
+    
+    /**
+     * Highlight a result (aria-activedescendant keeps focus in the input)
+     */
+    setActive(index) {
+        const options = this.list.children;
+        if (options.length === 0) {
+            this.activeIndex = 0;
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        
+        this.activeIndex = (index + options.length) % options.length;
+        
+        Array.from(options).forEach((option, i) => {
+            option.setAttribute('aria-selected', i === this.activeIndex ? 'true' : 'false');
+        });
+        
+        const active = options[this.activeIndex];
+        this.input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView({ block: 'nearest' });
+    }
+    
+    /**
+     * Close and hand the chosen item over
+     */
+    select(index) {
+        const item = this.results[index];
+        if (!item) return;
+        
+        this.returnFocus = null; // Focus goes wherever the result leads
+        this.close();
+        this.onSelect(item);
+    }
+    
+    /**
+     * Arrows move, Enter opens, Escape closes; Tab stays in the dialog
+     */
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.setActive(this.activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setActive(this.activeIndex - 1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.select(this.activeIndex);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'Tab':
+                e.preventDefault();
+                break;
+        }
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * WEBGL CONTEXT LOSS GUARD
+ * Eva Qi Portfolio - Context Loss & Restore Handling
+ * 
+ * FEATURES:
+ * - Keeps a lost WebGL context restorable (preventDefault on webglcontextlost)
+ * - Swaps the canvas for a placeholder until the GPU comes back
+ * - Hands restore to the renderer so it can rebuild its GPU resources
+ * - Reports loss / restore to the console, analytics and a window event
+ * 
+ * USAGE:
+ *   this.contextGuard = new ContextLossGuard(renderer.domElement, {
+ *       name: 'hero',
+ *       onLost: () => { ...stop drawing... },
+ *       onRestored: () => { ...rebuild targets, materials, meshes... }
+ *   });
+ *   window.addEventListener('webglcontextchange', e => e.detail); // { name, state, downtime }
+ */
+
+class ContextLossGuard {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.name = options.name || 'webgl';
+        this.message = options.message !== undefined
+            ? options.message
+            : 'Graphics paused while your device frees up memory. They will be back shortly.';
+        this.background = options.background || 'radial-gradient(circle at center, #2a2a4e 0%, #1a1a2e 70%)';
+        this.onLost = options.onLost || null;
+        this.onRestored = options.onRestored || null;
+        
+        this.lost = false;
+        this.lostAt = 0;
+        this.lossCount = 0;
+        this.placeholder = null;
+        this.canvasDisplay = '';
+        
+        this.handleLost = this.handleLost.bind(this);
+        this.handleRestored = this.handleRestored.bind(this);
+        
+        canvas.addEventListener('webglcontextlost', this.handleLost);
+        canvas.addEventListener('webglcontextrestored', this.handleRestored);
+    }
+    
+    /**
+     * Context gone: stop the renderer and show the placeholder
+     */
+    handleLost(event) {
+        // Without this the browser never fires webglcontextrestored
+        event.preventDefault();
+        
+        if (this.lost) return;
+        this.lost = true;
+        this.lostAt = performance.now();
+        this.lossCount++;
+        
+        this.showPlaceholder();
+        this.report('lost');
+        
+        if (this.onLost) {
+            this.onLost();
+        }
+    }
+    
+    /**
+     * Context back: let the renderer rebuild, then reveal the canvas again
+     */
+    handleRestored() {
+        if (!this.lost) return;
+        this.lost = false;
+        
+        try {
+            if (this.onRestored) {
+                this.onRestored();
+            }
+        } catch (error) {
+            // Leave the placeholder up rather than show a broken canvas
+            console.error(`WebGL context restore failed (${this.name}):`, error);
+            this.report('failed');
+            return;
+        }
+        
+        this.hidePlaceholder();
+        this.report('restored', { downtime: Math.round(performance.now() - this.lostAt) });
+    }
+    
+    /**
+     * Swap the canvas for a same-sized status message (an empty spacer when message is '')
+     */
+    showPlaceholder() {
+        if (this.placeholder || !this.canvas.parentNode) return;
+        
+        const placeholder = document.createElement('div');
+        placeholder.className = 'webgl-placeholder';
+        if (this.message) {
+            placeholder.setAttribute('role', 'status');
+            placeholder.textContent = this.message;
+        } else {
+            placeholder.setAttribute('aria-hidden', 'true');
+        }
+        placeholder.style.cssText = [
+            `width: ${this.canvas.style.width || '100%'}`,
+            `height: ${this.canvas.style.height || '100vh'}`,
+            'max-width: 100%',
+            'display: flex',
+            'align-items: center',
+            'justify-content: center',
+            'padding: 24px',
+            'box-sizing: border-box',
+            `background: ${this.background}`,
+            'color: rgba(255, 255, 255, 0.7)',
+            'font: 14px/1.5 sans-serif',
+            'text-align: center'
+        ].join(';');
+        
+        this.canvasDisplay = this.canvas.style.display;
+        this.canvas.style.display = 'none';
+        this.canvas.parentNode.insertBefore(placeholder, this.canvas);
+        this.placeholder = placeholder;
+    }
+    
+    hidePlaceholder() {
+        if (!this.placeholder) return;
+        
+        this.placeholder.remove();
+        this.placeholder = null;
+        this.canvas.style.display = this.canvasDisplay;
+    }
+    
+    /**
+     * Log, send to analytics when available and dispatch webglcontextchange
+     */
+    report(state, detail = {}) {
+        const payload = Object.assign({ name: this.name, state, lossCount: this.lossCount }, detail);
+        
+        if (state === 'restored') {
+            console.log(`WebGL context restored (${this.name}) after ${payload.downtime}ms`);
+        } else {
+            console.warn(`WebGL context ${state} (${this.name})`);
+        }
+        
+        if (typeof gtag !== 'undefined') {
+            gtag('event', `webgl_context_${state}`, {
+                'renderer': this.name,
+                'loss_count': this.lossCount
+            });
+        }
+        
+        window.dispatchEvent(new CustomEvent('webglcontextchange', { detail: payload }));
+    }
+    
+    /**
+     * Remove listeners and any placeholder
+     */
+    destroy() {
+        this.canvas.removeEventListener('webglcontextlost', this.handleLost);
+        this.canvas.removeEventListener('webglcontextrestored', this.handleRestored);
+        this.hidePlaceholder();
+    }
+}
@@ -4,7 +4,8 @@
  * 
  * FEATURES:
  * - Detects mobile vs desktop
- * - Loads appropriate JavaScript version
+ * - Selects the renderer profile for the device
+ * - Loads the static fallback hero instead when WebGL is unavailable
  * - Preloads critical resources
  * - Optimizes loading performance
  */
@@ -14,7 +15,31 @@ class DeviceDetector {
         this.isMobile = this.detectMobile();
         this.isTablet = this.detectTablet();
         this.deviceType = this.getDeviceType();
+        this.hasWebGL = this.checkWebGLSupport();
         this.loadingStartTime = performance.now();
+        this.introMounted = true; // Cleared when the intro page unmounts; pending loads then start nothing
+        
+        // Renderer scripts, loaded in order after Three.js
+        // (the fallback hero comes first so a failing renderer can still use it)
+        this.rendererScripts = [
+            'src/js/lifecycle.js',
+            'src/js/role-typewriter.js',
+            'src/js/fallback-hero.js',
+            'src/js/frame-scheduler.js',
+            'src/js/post-processing.js',
+            'src/js/quality-governor.js',
+            'src/js/perf-hud.js',
+            'src/js/context-loss-guard.js',
+            'src/js/hero-font.js',
+            'src/js/main.js'
+        ];
+        
+        // Without WebGL only the static wordmark is loaded (no Three.js)
+        this.fallbackScripts = [
+            'src/js/lifecycle.js',
+            'src/js/role-typewriter.js',
+            'src/js/fallback-hero.js'
+        ];
         
         console.log(`Device detected: ${this.deviceType}`);
         this.init();
@@ -63,8 +88,10 @@ class DeviceDetector {
         // Preload fonts
         this.preloadFont('https://fonts.googleapis.com/css2?family=Scheherazade+New:wght@400;700&display=swap');
         
-        // Preload Three.js (critical for both versions)
-        this.preloadScript('https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js');
+        // Preload Three.js (critical for both versions, useless without WebGL)
+        if (this.hasWebGL) {
+            this.preloadScript('https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js');
+        }
         
         // Note: Font file is loaded asynchronously by Three.js, so preloading causes warnings
         
@@ -117,6 +144,11 @@ class DeviceDetector {
      * Preload a script
      */
     preloadScript(src) {
+        // Already there (e.g. Three.js from another page after in-place navigation)
+        if (this.hasScript(src)) {
+            return;
+        }
+        
         const link = document.createElement('link');
         link.rel = 'preload';
         link.as = 'script';
@@ -148,35 +180,92 @@ class DeviceDetector {
     }
     
     /**
-     * Load appropriate JavaScript based on device type
+     * Get the renderer profile name for this device
+     */
+    getRendererProfile() {
+        return this.deviceType === 'mobile' ? 'mobile' : 'desktop';
+    }
+    
+    /**
+     * Load the shared renderer, which picks its profile from getRendererProfile()
      */
     loadAppropriateScript() {
+        if (!this.hasWebGL) {
+            this.loadFallbackHero();
+            return;
+        }
+        
         // Wait for Three.js to load first
         this.waitForThreeJS().then(() => {
-            const script = document.createElement('script');
+            console.log(`Loading renderer with ${this.getRendererProfile()} profile`);
+            return this.loadScripts(this.rendererScripts);
+        }).then(() => {
+            // The visitor may have left the intro page while the scripts loaded
+            if (!this.introMounted) {
+                console.log('Intro page left before the renderer loaded, not starting it');
+                return;
+            }
             
-            if (this.deviceType === 'mobile') {
-                script.src = 'src/js/mobile-main.js';
-                console.log('Loading mobile-optimized version');
-            } else {
-                script.src = 'src/js/main.js';
-                console.log('Loading desktop-optimized version');
+            if (!window.portfolioRenderer && !window.heroFallback) {
+                initializePortfolio();
             }
             
-            script.onload = () => {
-                const loadingTime = performance.now() - this.loadingStartTime;
-                console.log(`App loaded in ${loadingTime.toFixed(2)}ms`);
-            };
+            const loadingTime = performance.now() - this.loadingStartTime;
+            console.log(`App loaded in ${loadingTime.toFixed(2)}ms`);
+        }).catch((error) => {
+            console.error('Failed to load renderer scripts:', error.message);
+        });
+    }
+    
+    /**
+     * No WebGL: show the static wordmark with the regular overlay
+     */
+    loadFallbackHero() {
+        console.log('WebGL not supported, loading fallback hero');
+        this.loadScripts(this.fallbackScripts).then(() => {
+            if (!this.introMounted) return;
             
-            script.onerror = () => {
-                console.error('Failed to load appropriate script, falling back to desktop version');
-                // Fallback to desktop version
-                const fallbackScript = document.createElement('script');
-                fallbackScript.src = 'src/js/main.js';
-                if (document.head) {
-                    document.head.appendChild(fallbackScript);
-                }
-            };
+            startFallbackHero('WebGL is not available', {
+                typingSpeed: this.isMobile ? 100 : 80,
+                displayTime: this.isMobile ? 3000 : 2500
+            });
+        }).catch((error) => {
+            console.error('Failed to load fallback hero:', error.message);
+        });
+    }
+    
+    /**
+     * Load scripts one after another
+     */
+    loadScripts(sources) {
+        return sources.reduce(
+            (previous, src) => previous.then(() => this.loadScript(src)),
+            Promise.resolve()
+        );
+    }
+    
+    /**
+     * Whether a script is on the page, however its src was written (relative here, absolute from the router)
+     */
+    hasScript(src) {
+        const url = new URL(src, window.location.href).href;
+        return Array.from(document.scripts).some(script => script.src === url);
+    }
+    
+    /**
+     * Load a script and resolve once it has executed (at once if it already has)
+     */
+    loadScript(src) {
+        return new Promise((resolve, reject) => {
+            if (this.hasScript(src)) {
+                resolve();
+                return;
+            }
+            
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Could not load ${src}`));
             
             if (document.head) {
                 document.head.appendChild(script);
@@ -248,7 +337,7 @@ class DeviceDetector {
             isTablet: this.isTablet,
             deviceType: this.deviceType,
             hasTouch: 'ontouchstart' in window,
-            hasWebGL: this.checkWebGLSupport(),
+            hasWebGL: this.hasWebGL,
             hasWebGL2: this.checkWebGL2Support(),
             pixelRatio: window.devicePixelRatio,
             screenWidth: window.innerWidth,
@@ -293,12 +382,38 @@ class DeviceDetector {
 }
 
 /**
- * Initialize device detection when DOM is ready
+ * Start the hero whenever the intro page is shown: first load or in-place navigation
  */
-document.addEventListener('DOMContentLoaded', () => {
-    window.deviceDetector = new DeviceDetector();
-    window.deviceCapabilities = window.deviceDetector.getDeviceCapabilities();
-});
+const introPageHooks = {
+    mount: () => {
+        if (window.deviceDetector) {
+            window.deviceDetector.introMounted = true;
+            window.deviceDetector.loadAppropriateScript();
+            return;
+        }
+        
+        window.deviceDetector = new DeviceDetector();
+        window.deviceCapabilities = window.deviceDetector.getDeviceCapabilities();
+    },
+    unmount: () => {
+        if (window.deviceDetector) {
+            window.deviceDetector.introMounted = false;
+        }
+        if (window.portfolioRenderer) {
+            window.portfolioRenderer.destroy();
+            window.portfolioRenderer = null;
+        }
+        if (window.heroFallback) {
+            window.heroFallback.destroy();
+        }
+    }
+};
+
+if (typeof registerPageHooks === 'function') {
+    registerPageHooks('index', introPageHooks);
+} else {
+    document.addEventListener('DOMContentLoaded', introPageHooks.mount);
+}
 
 /**
  * Global error handler for device detection
@@ -0,0 +1,185 @@
+/**
+ * FALLBACK HERO
+ * Eva Qi Portfolio - Non-WebGL Wordmark
+ * 
+ * FEATURES:
+ * - SVG wordmark in the lens colours when WebGL is missing or the renderer fails
+ * - Leaves the navigation and overlay markup in place
+ * - Overlay reveals on scroll, click, tap or Enter (or by itself after a moment)
+ * - Role cycling through the shared RoleTypewriter, static under reduced motion
+ * 
+ * USAGE:
+ *   startFallbackHero('WebGL is not available');
+ */
+
+const DEFAULT_FALLBACK_OPTIONS = {
+    text: 'Evanolott',
+    revealDelay: 2500, // ms before the overlay shows without any input
+    typingSpeed: 80,
+    displayTime: 2500
+};
+
+class FallbackHero {
+    constructor(options = {}) {
+        this.host = options.host || document.querySelector('[data-hero-host]') || document.body;
+        this.options = Object.assign({}, DEFAULT_FALLBACK_OPTIONS, options);
+        if (!options.text && this.host.dataset && this.host.dataset.heroText) {
+            this.options.text = this.host.dataset.heroText;
+        }
+        
+        this.overlay = document.getElementById('overlay');
+        this.overlayVisible = false;
+        this.motionPolicy = options.motionPolicy || window.motionPolicy || null;
+        this.reducedMotion = this.motionPolicy ? this.motionPolicy.reduced : false;
+        
+        this.element = null;
+        this.roleTypewriter = null;
+        this.revealTimer = null;
+        this.lifecycle = new Lifecycle();
+        this.unsubscribeMotionPolicy = null;
+        
+        this.init();
+    }
+    
+    /**
+     * Build the wordmark and wire up reveal, roles and motion policy
+     */
+    init() {
+        document.documentElement.classList.add('no-webgl');
+        this.createWordmark();
+        
+        this.roleTypewriter = new RoleTypewriter(document.querySelector('.dynamic-role'), {
+            typingSpeed: this.options.typingSpeed,
+            displayTime: this.options.displayTime,
+            shouldContinue: () => this.overlayVisible
+        });
+        
+        this.setupRevealTriggers();
+        this.setupMotionPolicy();
+        
+        console.log(`Fallback hero shown (${this.options.reason || 'no WebGL'})`);
+    }
+    
+    /**
+     * Full-screen SVG wordmark behind the overlay
+     */
+    createWordmark() {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const text = this.options.text;
+        
+        this.element = document.createElement('div');
+        this.element.className = 'fallback-hero';
+        
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('class', 'fallback-wordmark');
+        svg.setAttribute('viewBox', '0 0 1000 240');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', text);
+        
+        svg.innerHTML = `
+            <defs>
+                <linearGradient id="fallback-wordmark-fill" x1="0" y1="0" x2="1" y2="1">
+                    <stop offset="0%" stop-color="#f7d9ed"/>
+                    <stop offset="100%" stop-color="#f07ac7"/>
+                </linearGradient>
+            </defs>
+            <text x="500" y="120" text-anchor="middle" dominant-baseline="central"
+                  textLength="900" lengthAdjust="spacingAndGlyphs"
+                  fill="url(#fallback-wordmark-fill)" stroke="#ffffff" stroke-width="1.5"></text>
+        `;
+        svg.querySelector('text').textContent = text;
+        
+        this.element.appendChild(svg);
+        this.host.insertBefore(this.element, this.host.firstChild);
+    }
+    
+    /**
+     * Reveal the overlay on the first scroll, click, tap or Enter, or after revealDelay
+     */
+    setupRevealTriggers() {
+        const reveal = () => this.showOverlay();
+        
+        this.lifecycle.listen(window, 'wheel', reveal, { passive: true });
+        this.lifecycle.listen(window, 'touchstart', reveal, { passive: true });
+        this.lifecycle.listen(this.element, 'click', reveal);
+        this.lifecycle.listen(document, 'keydown', (event) => {
+            if (event.key === 'Enter' && event.target === document.body) {
+                reveal();
+            }
+        });
+        
+        this.revealTimer = this.lifecycle.later(reveal, this.reducedMotion ? 0 : this.options.revealDelay);
+    }
+    
+    /**
+     * Show the overlay and start the roles
+     */
+    showOverlay() {
+        if (this.overlayVisible || !this.overlay) return;
+        
+        this.lifecycle.cancel(this.revealTimer);
+        this.overlay.classList.add('active');
+        this.overlayVisible = true;
+        this.startRoles();
+        
+        console.log('Introduction revealed');
+    }
+    
+    /**
+     * Typewriter, or every role at once under reduced motion
+     */
+    startRoles() {
+        if (this.reducedMotion) {
+            this.roleTypewriter.showStatic();
+        } else {
+            this.roleTypewriter.start();
+        }
+    }
+    
+    /**
+     * Follow motion policy changes
+     */
+    setupMotionPolicy() {
+        if (!this.motionPolicy) return;
+        
+        this.unsubscribeMotionPolicy = this.motionPolicy.subscribe((reduced) => {
+            this.reducedMotion = reduced;
+            
+            if (this.overlayVisible) {
+                this.roleTypewriter.stop();
+                this.startRoles();
+            }
+        });
+    }
+    
+    /**
+     * Remove the wordmark, listeners and timers
+     */
+    destroy() {
+        this.roleTypewriter.stop();
+        
+        this.lifecycle.dispose();
+        
+        if (this.unsubscribeMotionPolicy) {
+            this.unsubscribeMotionPolicy();
+            this.unsubscribeMotionPolicy = null;
+        }
+        
+        this.element.remove();
+        document.documentElement.classList.remove('no-webgl');
+        
+        if (window.heroFallback === this) {
+            window.heroFallback = null;
+        }
+    }
+}
+
+/**
+ * Show the fallback hero once (later calls return the existing one)
+ */
+function startFallbackHero(reason, options = {}) {
+    if (!window.heroFallback) {
+        window.heroFallback = new FallbackHero(Object.assign({ reason }, options));
+    }
+    return window.heroFallback;
+}
@@ -0,0 +1,170 @@
+/**
+ * FRAME SCHEDULER
+ * Eva Qi Portfolio - Render-On-Demand Animation Loop
+ * 
+ * FEATURES:
+ * - One requestAnimationFrame loop shared by every canvas
+ * - Sleeps when no client has work; invalidate() wakes it
+ * - Pauses while the tab is hidden
+ * - Pauses clients whose element is scrolled offscreen
+ * 
+ * USAGE:
+ *   const handle = window.frameScheduler.add({
+ *       element: canvas,
+ *       frame: (now) => { ...draw...; return stillAnimating; }
+ *   });
+ *   handle.invalidate(); // after input or a state change
+ */
+
+class FrameScheduler {
+    constructor() {
+        this.clients = new Set();
+        this.frameId = null;
+        this.pageVisible = !document.hidden;
+        
+        this.tick = this.tick.bind(this);
+        
+        // Offscreen clients sleep until they scroll back into view
+        this.observer = 'IntersectionObserver' in window
+            ? new IntersectionObserver(entries => this.onIntersection(entries))
+            : null;
+        
+        document.addEventListener('visibilitychange', () => {
+            this.pageVisible = !document.hidden;
+            
+            if (this.pageVisible) {
+                // Time has jumped; let every client catch up
+                this.clients.forEach(client => this.invalidate(client));
+            } else {
+                this.cancelFrame();
+            }
+        });
+    }
+    
+    /**
+     * Register a client; frame(now) returns true while it needs more frames
+     */
+    add({ element = null, frame }) {
+        const client = {
+            element,
+            frame,
+            awake: true,
+            onscreen: true,
+            wakeTimer: null
+        };
+        
+        this.clients.add(client);
+        if (element && this.observer) {
+            this.observer.observe(element);
+        }
+        
+        this.requestFrame();
+        
+        return {
+            invalidate: () => this.invalidate(client),
+            wakeAfter: delay => this.wakeAfter(client, delay),
+            remove: () => this.remove(client)
+        };
+    }
+    
+    /**
+     * Unregister a client
+     */
+    remove(client) {
+        clearTimeout(client.wakeTimer);
+        this.clients.delete(client);
+        
+        if (client.element && this.observer) {
+            this.observer.unobserve(client.element);
+        }
+    }
+    
+    /**
+     * Mark a client as needing a frame
+     */
+    invalidate(client) {
+        if (!this.clients.has(client)) return;
+        
+        client.awake = true;
+        this.requestFrame();
+    }
+    
+    /**
+     * Wake a sleeping client after a delay (e.g. an idle timeout); replaces any pending wake
+     */
+    wakeAfter(client, delay) {
+        clearTimeout(client.wakeTimer);
+        client.wakeTimer = setTimeout(() => {
+            client.wakeTimer = null;
+            this.invalidate(client);
+        }, delay);
+    }
+    
+    /**
+     * Whether a client would run on the next frame
+     */
+    isRunnable(client) {
+        return client.awake && client.onscreen;
+    }
+    
+    /**
+     * Schedule the shared frame if anyone can use it
+     */
+    requestFrame() {
+        if (this.frameId !== null || !this.pageVisible) return;
+        
+        for (const client of this.clients) {
+            if (this.isRunnable(client)) {
+                this.frameId = requestAnimationFrame(this.tick);
+                return;
+            }
+        }
+    }
+    
+    cancelFrame() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+    
+    /**
+     * Run every awake, visible client; those returning false go to sleep
+     */
+    tick(now) {
+        this.frameId = null;
+        
+        this.clients.forEach(client => {
+            if (!this.isRunnable(client)) return;
+            
+            client.awake = false;
+            try {
+                if (client.frame(now)) {
+                    client.awake = true;
+                }
+            } catch (error) {
+                console.error('Frame callback failed:', error);
+            }
+        });
+        
+        this.requestFrame();
+    }
+    
+    /**
+     * Track which client elements are on screen
+     */
+    onIntersection(entries) {
+        entries.forEach(entry => {
+            this.clients.forEach(client => {
+                if (client.element !== entry.target) return;
+                
+                client.onscreen = entry.isIntersecting;
+                if (client.onscreen) {
+                    this.invalidate(client);
+                }
+            });
+        });
+    }
+}
+
+window.frameScheduler = new FrameScheduler();
@@ -0,0 +1,200 @@
+/**
+ * HEADROOM
+ * Eva Qi Portfolio - Hide-on-Scroll Navbar Controller
+ * 
+ * FEATURES:
+ * - Unpins (slides away) on scroll down, pins on scroll up
+ * - offset: no unpinning near the top of the page
+ * - tolerance: px to travel in one direction before anything changes (no jitter)
+ * - States pinned / unpinned, top / not top, bottom / not bottom as classes,
+ *   callbacks and a window 'headroomchange' event
+ * - Stays pinned while shouldStayPinned() holds or focus is inside the element
+ * 
+ * USAGE:
+ *   const headroom = new Headroom(navbar, {
+ *       offset: 200,
+ *       tolerance: { up: 5, down: 10 },
+ *       shouldStayPinned: () => sidebarOpen,
+ *       onUnpin: () => console.log('navbar hidden')
+ *   });
+ *   window.addEventListener('headroomchange', e => e.detail); // { state, direction, scrollY }
+ */
+
+const DEFAULT_HEADROOM_OPTIONS = {
+    offset: 200, // px scrolled before the element may unpin
+    topOffset: 100, // px from the top still counted as 'top'
+    tolerance: { up: 5, down: 10 }, // px travelled in one direction before pinning / unpinning; a number sets both
+    shouldStayPinned: () => false,
+    onPin: null,
+    onUnpin: null,
+    onTop: null,
+    onNotTop: null,
+    onBottom: null,
+    onNotBottom: null
+};
+
+/**
+ * Classes for each state ('scrolled' is what the navbar CSS already styles)
+ */
+const HEADROOM_CLASSES = {
+    pinned: 'pinned',
+    unpinned: 'unpinned',
+    notTop: 'scrolled',
+    bottom: 'at-bottom'
+};
+
+class Headroom {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = Object.assign({}, DEFAULT_HEADROOM_OPTIONS, options);
+        
+        const tolerance = this.options.tolerance;
+        this.tolerance = typeof tolerance === 'number'
+            ? { up: tolerance, down: tolerance }
+            : Object.assign({}, DEFAULT_HEADROOM_OPTIONS.tolerance, tolerance);
+        
+        this.pinned = null;
+        this.top = null;
+        this.bottom = null;
+        this.direction = null;
+        this.lastScrollY = this.getScrollY();
+        this.travel = 0; // px scrolled since the direction last changed
+        this.ticking = false;
+        this.lifecycle = new Lifecycle();
+        
+        this.init();
+    }
+    
+    /**
+     * Listen for scroll, resize and focus changes
+     */
+    init() {
+        const requestUpdate = () => {
+            if (!this.ticking) {
+                this.ticking = true;
+                requestAnimationFrame(() => {
+                    this.ticking = false;
+                    this.update();
+                });
+            }
+        };
+        
+        this.lifecycle.listen(window, 'scroll', requestUpdate, { passive: true });
+        this.lifecycle.listen(window, 'resize', requestUpdate);
+        // Focus entering a form field or the element itself can pin it
+        this.lifecycle.listen(document, 'focusin', () => this.update());
+        this.lifecycle.listen(document, 'focusout', requestUpdate);
+        
+        this.update();
+    }
+    
+    /**
+     * Scroll position clamped to the scrollable range (no overscroll bounce)
+     */
+    getScrollY() {
+        const max = Math.max(0, document.documentElement.scrollHeight - window.innerHeight);
+        return Math.min(Math.max(window.scrollY, 0), max);
+    }
+    
+    /**
+     * Work out the states for the current scroll position
+     */
+    update() {
+        const scrollY = this.getScrollY();
+        const delta = scrollY - this.lastScrollY;
+        this.lastScrollY = scrollY;
+        
+        if (delta !== 0) {
+            const direction = delta > 0 ? 'down' : 'up';
+            this.travel = direction === this.direction ? this.travel + Math.abs(delta) : Math.abs(delta);
+            this.direction = direction;
+        }
+        
+        const max = document.documentElement.scrollHeight - window.innerHeight;
+        this.setTop(scrollY <= this.options.topOffset);
+        this.setBottom(max > 0 && scrollY >= max - 1);
+        
+        if (this.shouldStayPinned() || scrollY <= this.options.offset) {
+            this.pin();
+        } else if (this.direction === 'down' && this.travel >= this.tolerance.down) {
+            this.unpin();
+        } else if (this.direction === 'up' && this.travel >= this.tolerance.up) {
+            this.pin();
+        }
+    }
+    
+    /**
+     * The caller's rule, or keyboard focus inside the element
+     */
+    shouldStayPinned() {
+        return this.options.shouldStayPinned() || this.element.contains(document.activeElement);
+    }
+    
+    /**
+     * Show the element
+     */
+    pin() {
+        if (this.pinned === true) return;
+        
+        this.pinned = true;
+        this.element.classList.add(HEADROOM_CLASSES.pinned);
+        this.element.classList.remove(HEADROOM_CLASSES.unpinned);
+        this.emit('pinned', this.options.onPin);
+    }
+    
+    /**
+     * Slide the element away
+     */
+    unpin() {
+        if (this.pinned === false) return;
+        
+        this.pinned = false;
+        this.element.classList.add(HEADROOM_CLASSES.unpinned);
+        this.element.classList.remove(HEADROOM_CLASSES.pinned);
+        this.emit('unpinned', this.options.onUnpin);
+    }
+    
+    /**
+     * Near the top of the page or not
+     */
+    setTop(top) {
+        if (this.top === top) return;
+        
+        this.top = top;
+        this.element.classList.toggle(HEADROOM_CLASSES.notTop, !top);
+        this.emit(top ? 'top' : 'not-top', top ? this.options.onTop : this.options.onNotTop);
+    }
+    
+    /**
+     * At the end of the page or not
+     */
+    setBottom(bottom) {
+        if (this.bottom === bottom) return;
+        
+        this.bottom = bottom;
+        this.element.classList.toggle(HEADROOM_CLASSES.bottom, bottom);
+        this.emit(bottom ? 'bottom' : 'not-bottom', bottom ? this.options.onBottom : this.options.onNotBottom);
+    }
+    
+    /**
+     * Run the state's callback and dispatch headroomchange
+     */
+    emit(state, callback) {
+        const detail = { state, direction: this.direction, scrollY: this.lastScrollY };
+        
+        if (callback) {
+            callback(detail);
+        }
+        
+        window.dispatchEvent(new CustomEvent('headroomchange', { detail }));
+    }
+    
+    /**
+     * Remove listeners and state classes
+     */
+    destroy() {
+        this.lifecycle.dispose();
+        
+        Object.values(HEADROOM_CLASSES).forEach(name => this.element.classList.remove(name));
+    }
+}
@@ -0,0 +1,305 @@
+/**
+ * HERO FONT LOADING
+ * Eva Qi Portfolio - Offline-Capable Wordmark Fonts
+ * 
+ * FEATURES:
+ * - Typeface JSON fonts cached in Cache Storage after the first load
+ * - Falls back to plain fetch where Cache Storage is unavailable
+ * - Traces system-font text drawn on a 2D canvas into THREE.Shapes
+ *   so the wordmark still renders as extruded text with no network
+ */
+
+class CachedFontLoader {
+    constructor(cacheName = 'hero-fonts-v1') {
+        this.cacheName = cacheName;
+    }
+    
+    /**
+     * Load a typeface JSON font, from cache when possible
+     */
+    async load(url) {
+        const json = await this.loadJSON(url);
+        return new THREE.FontLoader().parse(json);
+    }
+    
+    /**
+     * Fetch font JSON, serving and filling the cache
+     */
+    async loadJSON(url) {
+        const cache = await this.openCache();
+        
+        if (cache) {
+            const cached = await cache.match(url);
+            if (cached) {
+                console.log(`Font served from cache: ${url}`);
+                return cached.json();
+            }
+        }
+        
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Font request failed (${response.status}): ${url}`);
+        }
+        
+        if (cache) {
+            cache.put(url, response.clone()).catch((error) => {
+                console.warn('Could not cache font:', error.message);
+            });
+        }
+        
+        return response.json();
+    }
+    
+    /**
+     * Open the font cache (null when Cache Storage is unavailable, e.g. non-HTTPS)
+     */
+    async openCache() {
+        if (!('caches' in window)) {
+            return null;
+        }
+        
+        try {
+            return await caches.open(this.cacheName);
+        } catch (error) {
+            console.warn('Cache Storage unavailable:', error.message);
+            return null;
+        }
+    }
+}
+
+/**
+ * Traces canvas-rendered text into THREE.Shape outlines
+ */
+class CanvasTextTracer {
+    constructor(options = {}) {
+        this.fontPx = options.fontPx || 128; // Trace resolution
+        this.fontFamily = options.fontFamily || 'Georgia, "Times New Roman", serif';
+        this.fontWeight = options.fontWeight || 'bold';
+        this.tolerance = options.tolerance || 0.8; // Simplification, in canvas pixels
+    }
+    
+    /**
+     * Build shapes for text, scaled so the em size equals `size` world units
+     */
+    createShapes(text, size) {
+        const mask = this.rasterize(text);
+        if (!mask) {
+            return [];
+        }
+        
+        const loops = this.traceLoops(mask)
+            .map(loop => this.simplify(loop))
+            .filter(loop => loop.length >= 3);
+        
+        const scale = size / this.fontPx;
+        return this.buildShapes(loops, scale);
+    }
+    
+    /**
+     * Draw the text and return a binary coverage mask
+     */
+    rasterize(text) {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        if (!context) {
+            return null;
+        }
+        
+        const font = `${this.fontWeight} ${this.fontPx}px ${this.fontFamily}`;
+        const padding = Math.ceil(this.fontPx * 0.25);
+        
+        context.font = font;
+        canvas.width = Math.ceil(context.measureText(text).width) + padding * 2;
+        canvas.height = Math.ceil(this.fontPx * 1.5) + padding * 2;
+        
+        // Resizing resets the context state
+        context.font = font;
+        context.textBaseline = 'middle';
+        context.fillStyle = '#fff';
+        context.fillText(text, padding, canvas.height / 2);
+        
+        const { data, width, height } = context.getImageData(0, 0, canvas.width, canvas.height);
+        const inside = new Uint8Array(width * height);
+        for (let i = 0; i < inside.length; i++) {
+            inside[i] = data[i * 4 + 3] > 127 ? 1 : 0;
+        }
+        
+        return { inside, width, height };
+    }
+    
+    /**
+     * Follow pixel boundaries into closed loops (outlines and holes wind in opposite directions)
+     */
+    traceLoops({ inside, width, height }) {
+        const isInside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && inside[y * width + x] === 1;
+        const key = (x, y) => y * (width + 1) + x;
+        
+        // Directed edges keyed by start vertex, inside always on the same side
+        const outgoing = new Map();
+        const addEdge = (x1, y1, x2, y2) => {
+            const start = key(x1, y1);
+            if (!outgoing.has(start)) outgoing.set(start, []);
+            outgoing.get(start).push({ x1, y1, x2, y2 });
+        };
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!isInside(x, y)) continue;
+                if (!isInside(x, y - 1)) addEdge(x + 1, y, x, y);
+                if (!isInside(x - 1, y)) addEdge(x, y, x, y + 1);
+                if (!isInside(x, y + 1)) addEdge(x, y + 1, x + 1, y + 1);
+                if (!isInside(x + 1, y)) addEdge(x + 1, y + 1, x + 1, y);
+            }
+        }
+        
+        const loops = [];
+        outgoing.forEach((edges) => {
+            while (edges.length) {
+                const loop = [];
+                let edge = edges.pop();
+                const startKey = key(edge.x1, edge.y1);
+                
+                while (edge) {
+                    loop.push({ x: edge.x1, y: edge.y1 });
+                    const nextKey = key(edge.x2, edge.y2);
+                    if (nextKey === startKey) break;
+                    
+                    edge = this.takeNextEdge(outgoing.get(nextKey), edge);
+                }
+                
+                loops.push(loop);
+            }
+        });
+        
+        return loops;
+    }
+    
+    /**
+     * Pick the continuing edge, preferring the tightest turn so diagonal
+     * pixel contacts split into separate loops
+     */
+    takeNextEdge(candidates, incoming) {
+        if (!candidates || candidates.length === 0) {
+            return null;
+        }
+        
+        const dx = incoming.x2 - incoming.x1;
+        const dy = incoming.y2 - incoming.y1;
+        let bestIndex = 0;
+        let bestTurn = Infinity;
+        
+        candidates.forEach((candidate, index) => {
+            const cx = candidate.x2 - candidate.x1;
+            const cy = candidate.y2 - candidate.y1;
+            const turn = dx * cy - dy * cx; // Negative = turning toward the inside
+            if (turn < bestTurn) {
+                bestTurn = turn;
+                bestIndex = index;
+            }
+        });
+        
+        return candidates.splice(bestIndex, 1)[0];
+    }
+    
+    /**
+     * Ramer-Douglas-Peucker simplification of a closed loop
+     */
+    simplify(loop) {
+        if (loop.length < 4) {
+            return loop;
+        }
+        
+        const closed = loop.concat([loop[0]]);
+        const keep = new Uint8Array(closed.length);
+        keep[0] = keep[closed.length - 1] = 1;
+        
+        const stack = [[0, closed.length - 1]];
+        while (stack.length) {
+            const [first, last] = stack.pop();
+            let maxDistance = 0;
+            let maxIndex = -1;
+            
+            for (let i = first + 1; i < last; i++) {
+                const distance = this.distanceToSegment(closed[i], closed[first], closed[last]);
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    maxIndex = i;
+                }
+            }
+            
+            if (maxIndex !== -1 && maxDistance > this.tolerance) {
+                keep[maxIndex] = 1;
+                stack.push([first, maxIndex], [maxIndex, last]);
+            }
+        }
+        
+        return closed.filter((point, index) => keep[index] && index < closed.length - 1);
+    }
+    
+    distanceToSegment(point, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSq = dx * dx + dy * dy;
+        
+        if (lengthSq === 0) {
+            return Math.hypot(point.x - start.x, point.y - start.y);
+        }
+        
+        const t = Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSq));
+        return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+    }
+    
+    /**
+     * Convert canvas loops to THREE.Shapes with holes, y flipped to world up
+     */
+    buildShapes(loops, scale) {
+        const toWorld = loop => loop.map(point => new THREE.Vector2(point.x * scale, -point.y * scale));
+        const signedArea = points => THREE.ShapeUtils.area(points);
+        
+        const worldLoops = loops.map(toWorld);
+        if (worldLoops.length === 0) {
+            return [];
+        }
+        
+        // Outlines share the winding of the largest loop; the rest are holes
+        const largest = worldLoops.reduce((a, b) => (Math.abs(signedArea(a)) > Math.abs(signedArea(b)) ? a : b));
+        const outerSign = Math.sign(signedArea(largest));
+        
+        const outers = [];
+        const holes = [];
+        worldLoops.forEach(points => {
+            (Math.sign(signedArea(points)) === outerSign ? outers : holes).push(points);
+        });
+        
+        const shapes = outers.map(points => ({ points, area: Math.abs(signedArea(points)), shape: new THREE.Shape(points) }));
+        
+        holes.forEach(points => {
+            // Smallest outline containing the hole owns it
+            const owner = shapes
+                .filter(candidate => this.containsPoint(candidate.points, points[0]))
+                .sort((a, b) => a.area - b.area)[0];
+            
+            if (owner) {
+                owner.shape.holes.push(new THREE.Path(points));
+            }
+        });
+        
+        return shapes.map(entry => entry.shape);
+    }
+    
+    /**
+     * Even-odd point-in-polygon test
+     */
+    containsPoint(polygon, point) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+}
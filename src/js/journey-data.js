@@ -0,0 +1,415 @@
+/**
+ * JOURNEY DATA
+ * Eva Qi Portfolio - Shared Timeline Entries
+ * 
+ * FEATURES:
+ * - Journey milestones live in src/data/journey.json, not in page scripts
+ * - Array items may be Markdown file paths: front matter fields plus the body as description
+ * - Every entry is checked against JOURNEY_ENTRY_SCHEMA; bad entries are skipped
+ *   and reported with their position, source and reason (console + 'journeydataerror')
+ * - Loaded once per source and shared by the 3D journey page, the portfolio
+ *   journey section and site search
+ * - Dates: a year or year range ("2018", "2022-2024", "2024-Present"), or start / end
+ *   as YYYY, YYYY-MM or YYYY-MM-DD (end may be "present"); entries come out with
+ *   start / end timestamps for the timeline layout
+ * 
+ * USAGE:
+ *   loadJourneyEntries().then(({ entries, errors }) => {
+ *       entries.forEach(entry => console.log(entry.id, entry.year, entry.title));
+ *   });
+ * 
+ * MARKDOWN ENTRY (listed in journey.json as "entries/2024-ai.md"):
+ *   ---
+ *   start: 2024-03
+ *   end: present
+ *   title: AI Research
+ *   tags: [Machine Learning, Research]
+ *   ---
+ *   Description text...
+ */
+
+const JOURNEY_DATA_SOURCE = 'src/data/journey.json';
+const JOURNEY_DATE_PATTERN = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/;
+const JOURNEY_YEAR_PATTERN = /^(\d{4})(?:\s*[-–—]\s*(\d{4}|present))?$/i;
+
+/**
+ * Fields an entry may have: required or not, the check and how to explain a failure
+ */
+const JOURNEY_ENTRY_SCHEMA = {
+    id: {
+        required: false,
+        check: value => typeof value === 'string' && /^[a-z0-9]+(-[a-z0-9]+)*$/.test(value),
+        expected: 'lowercase letters, digits and dashes'
+    },
+    year: {
+        required: false, // Either year or start
+        check: value => JOURNEY_YEAR_PATTERN.test(String(value).trim()),
+        expected: 'a year or year range ("2018", "2022-2024", "2024-Present")'
+    },
+    start: {
+        required: false,
+        check: value => parseJourneyDate(value) !== null,
+        expected: 'a date (YYYY, YYYY-MM or YYYY-MM-DD)'
+    },
+    end: {
+        required: false,
+        check: value => /^present$/i.test(String(value).trim()) || parseJourneyDate(value) !== null,
+        expected: 'a date (YYYY, YYYY-MM or YYYY-MM-DD) or "present"'
+    },
+    title: {
+        required: true,
+        check: value => typeof value === 'string' && value.trim() !== '',
+        expected: 'a non-empty string'
+    },
+    description: {
+        required: true,
+        check: value => typeof value === 'string' && value.trim() !== '',
+        expected: 'a non-empty string'
+    },
+    tags: {
+        required: false,
+        check: value => Array.isArray(value) && value.every(tag => typeof tag === 'string' && tag.trim() !== ''),
+        expected: 'a list of non-empty strings'
+    }
+};
+
+/**
+ * Timestamp of a YYYY, YYYY-MM or YYYY-MM-DD date: the start of that year / month / day,
+ * or with end = true the moment it is over (an end of "2024" covers all of 2024); null if unreadable
+ */
+function parseJourneyDate(value, end = false) {
+    const match = String(value).trim().match(JOURNEY_DATE_PATTERN);
+    if (!match) return null;
+    
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : null;
+    const day = match[3] ? Number(match[3]) : null;
+    
+    if (month !== null && month > 11) return null;
+    if (day !== null) {
+        const time = Date.UTC(year, month, day);
+        // Date.UTC rolls 2023-02-30 over into March
+        if (day < 1 || new Date(time).getUTCDate() !== day) return null;
+        return end ? Date.UTC(year, month, day + 1) : time;
+    }
+    if (month !== null) {
+        return Date.UTC(year, end ? month + 1 : month, 1);
+    }
+    return Date.UTC(end ? year + 1 : year, 0, 1);
+}
+
+/**
+ * Label for a date: the year, or month and year ('Mar 2022')
+ */
+function formatJourneyDate(value) {
+    const match = String(value).trim().match(JOURNEY_DATE_PATTERN);
+    if (!match[2]) return match[1];
+    
+    return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1))
+        .toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+class JourneyDataSource {
+    constructor(url = JOURNEY_DATA_SOURCE) {
+        this.url = new URL(url, window.location.href).href;
+        this.loading = null;
+    }
+    
+    /**
+     * Valid entries in year order, plus the problems found ({ entries, errors })
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this.read()
+                .then(items => this.validate(items))
+                .catch((error) => {
+                    console.error(`Journey data could not be loaded from ${this.url}:`, error.message);
+                    return { entries: [], errors: [{ source: this.url, index: null, title: null, problems: [error.message] }] };
+                });
+        }
+        return this.loading;
+    }
+    
+    /**
+     * Raw items with where they came from: the JSON array, or a Markdown file per item
+     */
+    async read() {
+        const text = await this.fetchText(this.url);
+        
+        if (/\.(md|markdown)$/i.test(new URL(this.url).pathname)) {
+            return [{ raw: this.parseFrontMatter(text, this.url), source: this.url, index: 0 }];
+        }
+        
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`invalid JSON (${error.message})`);
+        }
+        
+        const list = Array.isArray(data) ? data : data && data.entries;
+        if (!Array.isArray(list)) {
+            throw new Error('expected an array of entries or { "entries": [...] }');
+        }
+        
+        return Promise.all(list.map(async (item, index) => {
+            if (typeof item !== 'string') {
+                return { raw: item, source: this.url, index };
+            }
+            
+            // Markdown paths are relative to the JSON file
+            const source = new URL(item, this.url).href;
+            try {
+                return { raw: this.parseFrontMatter(await this.fetchText(source), source), source, index };
+            } catch (error) {
+                return { raw: null, source, index, problem: error.message };
+            }
+        }));
+    }
+    
+    /**
+     * Response text, or an error naming the status
+     */
+    async fetchText(url) {
+        const response = await fetch(url, { credentials: 'same-origin' });
+        if (!response.ok) {
+            throw new Error(`request failed (${response.status}): ${url}`);
+        }
+        return response.text();
+    }
+    
+    /**
+     * Front matter fields (key: value, [a, b] and "- item" lists) with the body as description
+     */
+    parseFrontMatter(text, source) {
+        const match = text.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n([\s\S]*))?$/);
+        if (!match) {
+            throw new Error(`no front matter block (--- ... ---) at the top of ${source}`);
+        }
+        
+        const data = {};
+        let listKey = null;
+        
+        match[1].split(/\r?\n/).forEach((line, lineIndex) => {
+            if (!line.trim() || line.trim().startsWith('#')) return;
+            
+            const listItem = line.match(/^\s*-\s+(.*)$/);
+            if (listItem && listKey) {
+                data[listKey].push(this.parseScalar(listItem[1]));
+                return;
+            }
+            
+            const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+            if (!pair) {
+                throw new Error(`front matter line ${lineIndex + 2} of ${source} is not "key: value": ${line.trim()}`);
+            }
+            
+            const [, key, value] = pair;
+            if (value.trim() === '') {
+                data[key] = []; // "- item" lines follow
+                listKey = key;
+            } else {
+                data[key] = this.parseValue(value);
+                listKey = null;
+            }
+        });
+        
+        const body = (match[2] || '').trim();
+        if (body && data.description === undefined) {
+            data.description = body.replace(/\s+/g, ' ');
+        }
+        
+        return data;
+    }
+    
+    /**
+     * A front matter value: [a, b] list or a single (optionally quoted) string
+     */
+    parseValue(value) {
+        const trimmed = value.trim();
+        if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+            const inner = trimmed.slice(1, -1).trim();
+            return inner ? inner.split(',').map(item => this.parseScalar(item)) : [];
+        }
+        return this.parseScalar(trimmed);
+    }
+    
+    parseScalar(value) {
+        const trimmed = value.trim();
+        const quoted = trimmed.match(/^(["'])(.*)\1$/);
+        return quoted ? quoted[2] : trimmed;
+    }
+    
+    /**
+     * Split items into normalized entries and reported problems
+     */
+    validate(items) {
+        const entries = [];
+        const errors = [];
+        const ids = new Set();
+        
+        items.forEach(({ raw, source, index, problem }) => {
+            const problems = problem ? [problem] : JourneyDataSource.check(raw);
+            const entry = problems.length === 0 ? JourneyDataSource.normalize(raw) : null;
+            
+            if (entry && ids.has(entry.id)) {
+                problems.push(`"id" ${entry.id} is already used by an earlier entry`);
+            }
+            
+            if (problems.length > 0) {
+                const title = raw && typeof raw.title === 'string' ? raw.title : null;
+                errors.push({ source, index, title, problems });
+                return;
+            }
+            
+            ids.add(entry.id);
+            entries.push(entry);
+        });
+        
+        // Chronological, keeping file order for ties
+        entries.sort(JourneyDataSource.compare);
+        
+        if (errors.length > 0) {
+            this.report(errors);
+        }
+        
+        console.log(`Journey data: ${entries.length} entries from ${this.url}${errors.length ? `, ${errors.length} skipped` : ''}`);
+        return { entries, errors };
+    }
+    
+    /**
+     * Schema problems of one raw entry (empty when valid)
+     */
+    static check(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return [`expected an object or a Markdown path, got ${JSON.stringify(raw)}`];
+        }
+        
+        const problems = [];
+        
+        Object.keys(JOURNEY_ENTRY_SCHEMA).forEach((field) => {
+            const rule = JOURNEY_ENTRY_SCHEMA[field];
+            const value = raw[field];
+            
+            if (value === undefined || value === null || value === '') {
+                if (rule.required) {
+                    problems.push(`"${field}" is required`);
+                }
+            } else if (!rule.check(value)) {
+                problems.push(`"${field}" must be ${rule.expected}, got ${JSON.stringify(value)}`);
+            }
+        });
+        
+        Object.keys(raw).forEach((field) => {
+            if (!(field in JOURNEY_ENTRY_SCHEMA)) {
+                problems.push(`unknown field "${field}" (allowed: ${Object.keys(JOURNEY_ENTRY_SCHEMA).join(', ')})`);
+            }
+        });
+        
+        if (problems.length > 0) {
+            return problems;
+        }
+        
+        const { startValue, endValue, start, end } = JourneyDataSource.getRange(raw);
+        if (start === null) {
+            problems.push('"start" or "year" is required');
+        } else if (end !== null && end <= start) {
+            problems.push(`ends (${endValue}) before it starts (${startValue})`);
+        }
+        
+        return problems;
+    }
+    
+    /**
+     * Start and end timestamps from start / end, falling back to the year (range); end is null
+     * for a single point in time or an ongoing entry
+     */
+    static getRange(raw) {
+        const isSet = value => value !== undefined && value !== null && value !== '';
+        const years = isSet(raw.year) ? String(raw.year).trim().match(JOURNEY_YEAR_PATTERN) : null;
+        
+        const startValue = isSet(raw.start) ? raw.start : years && years[1];
+        const endValue = isSet(raw.end) ? raw.end : years && years[2];
+        const ongoing = isSet(endValue) && /^present$/i.test(String(endValue).trim());
+        
+        return {
+            startValue,
+            endValue,
+            ongoing,
+            start: isSet(startValue) ? parseJourneyDate(startValue) : null,
+            end: isSet(endValue) && !ongoing ? parseJourneyDate(endValue, true) : null
+        };
+    }
+    
+    /**
+     * Trimmed copy with a year label, start / end timestamps, a tag list and an id
+     */
+    static normalize(raw) {
+        const { startValue, endValue, ongoing, start, end } = JourneyDataSource.getRange(raw);
+        let label = String(raw.year || '').trim();
+        if (!label) {
+            label = formatJourneyDate(startValue);
+            if (ongoing) {
+                label += ' – Present';
+            } else if (endValue && formatJourneyDate(endValue) !== label) {
+                label += ` – ${formatJourneyDate(endValue)}`;
+            }
+        }
+        
+        const entry = {
+            year: label,
+            start,
+            end,
+            ongoing,
+            title: raw.title.trim(),
+            description: raw.description.trim(),
+            tags: (raw.tags || []).map(tag => tag.trim())
+        };
+        entry.id = raw.id || JourneyDataSource.getEntryId(entry);
+        return entry;
+    }
+    
+    /**
+     * Log each skipped entry and dispatch journeydataerror
+     */
+    report(errors) {
+        errors.forEach(({ source, index, title, problems }) => {
+            const position = index === null ? '' : ` #${index + 1}`;
+            const name = title ? ` "${title}"` : '';
+            console.warn(`Journey entry${position}${name} (${source}) skipped: ${problems.join('; ')}`);
+        });
+        
+        window.dispatchEvent(new CustomEvent('journeydataerror', { detail: { source: this.url, errors } }));
+    }
+    
+    /**
+     * Sort order of normalized entries: by start, shorter first on the same start
+     */
+    static compare(a, b) {
+        return a.start - b.start || (a.end || a.start) - (b.end || b.start);
+    }
+    
+    /**
+     * Stable element id for an entry without one (deep links, site search)
+     */
+    static getEntryId(entry) {
+        const slug = `${entry.year} ${entry.title}`
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+        return `milestone-${slug}`;
+    }
+}
+
+const journeyDataSources = new Map();
+
+/**
+ * Entries from a source, loaded once however many views ask
+ */
+function loadJourneyEntries(url = JOURNEY_DATA_SOURCE) {
+    const key = new URL(url, window.location.href).href;
+    if (!journeyDataSources.has(key)) {
+        journeyDataSources.set(key, new JourneyDataSource(url));
+    }
+    return journeyDataSources.get(key).load();
+}
@@ -9,65 +9,36 @@
  * - Auto-loading timeline progression
  * - Interactive card interactions
  * - Mobile-responsive design
+ * - Still particles under the shared motion policy
+ * - Renders through the shared frame scheduler (sleeps offscreen / hidden)
+ * - Particles drift for a few seconds after scrolling or pointer movement, then the loop sleeps
+ * - Adaptive pixel ratio and particle count
+ * - Performance HUD with ?debug=perf
+ * - destroy() releases GPU memory and window listeners
+ * - Recreates the particle field after WebGL context loss
+ * - Milestone cards carry stable ids (journey.html#milestone-...)
+ * - Milestones come from the shared journey data (src/data/journey.json)
+ * - Cards placed by date (TimelineLayout): proportional spacing, span bars
+ *   for date ranges, lanes for overlapping ones
  */
 
+/**
+ * Background particle drift
+ */
+const PARTICLE_DRIFT = {
+    settleAfter: 4000, // ms after the last scroll, resize or pointer move before the loop sleeps
+    rotationX: 0.0005, // Radians per frame
+    rotationY: 0.001
+};
+
 class JourneyTimeline {
     constructor() {
         this.timeline = document.getElementById('timeline');
         this.timelineProgress = document.getElementById('timeline-progress');
         this.journeyIntro = document.getElementById('journey-intro');
         
-        // Timeline data
-        this.timelineData = [
-            {
-                year: '2014',
-                title: 'Digital Art & Creative Beginnings',
-                description: 'Started my journey in digital art and creative technology, exploring 3D modeling and interactive media. Founded my first creative agency focusing on visual storytelling.',
-                tags: ['Digital Art', '3D Modeling', 'Creative Agency', 'Visual Design'],
-                side: 'left',
-                position: 0.1
-            },
-            {
-                year: '2016',
-                title: 'Educational Technology Innovation',
-                description: 'Transitioned into educational technology, developing interactive learning platforms and mentoring students in computer science and mathematics.',
-                tags: ['EdTech', 'Learning Platforms', 'Mentoring', 'Education'],
-                side: 'right',
-                position: 0.2
-            },
-            {
-                year: '2018',
-                title: 'Quantitative Research & Financial Modeling',
-                description: 'Specialized in quantitative research and financial modeling, analyzing market trends and developing statistical models for emerging technologies.',
-                tags: ['Quantitative Research', 'Financial Modeling', 'Data Analysis', 'Statistics'],
-                side: 'left',
-                position: 0.3
-            },
-            {
-                year: '2020',
-                title: 'Full-Stack Development & 3D Web Experiences',
-                description: 'Led development of innovative web applications while conducting quantitative research. Created immersive 3D web experiences and interactive portfolios.',
-                tags: ['Full-Stack', '3D Web', 'WebGL', 'Interactive Design'],
-                side: 'right',
-                position: 0.4
-            },
-            {
-                year: '2022',
-                title: 'Wine Studies & Sensory Analysis',
-                description: 'Pursued advanced studies in wine and sensory analysis, becoming a certified wine connoisseur and developing expertise in the wine industry.',
-                tags: ['Wine Studies', 'Sensory Analysis', 'Certification', 'Industry Expertise'],
-                side: 'left',
-                position: 0.5
-            },
-            {
-                year: '2024',
-                title: 'Entrepreneurship & Innovation Leadership',
-                description: 'Currently leading innovative projects that combine technology, research, and creative solutions. Building the future of interactive digital experiences.',
-                tags: ['Entrepreneurship', 'Innovation', 'Leadership', 'Future Tech'],
-                side: 'right',
-                position: 0.6
-            }
-        ];
+        // Timeline data, filled from the journey data source (addTimelineEntry() appends to it)
+        this.timelineData = [];
         
         // 3D Scene components
         this.scene = null;
@@ -81,6 +52,24 @@ class JourneyTimeline {
         this.currentCardIndex = 0;
         this.scrollProgress = 0;
         this.lastScrollY = 0;
+        this.motionPolicy = window.motionPolicy || null;
+        this.scheduler = window.frameScheduler;
+        this.frameHandle = null;
+        this.lastActivityTime = performance.now(); // Drift runs until settleAfter past this
+        this.perfHud = null;
+        
+        // Lifecycle: everything destroy() has to undo
+        this.lifecycle = new Lifecycle();
+        this.unsubscribeMotionPolicy = null;
+        this.destroyed = false;
+        this.contextGuard = null;
+        this.contextLost = false;
+        
+        // Adaptive quality: pixel ratio and particle count
+        this.particleCount = 200;
+        this.qualityGovernor = new QualityGovernor({
+            onChange: tier => this.applyQualityTier(tier)
+        });
         
         this.init();
     }
@@ -90,10 +79,12 @@ class JourneyTimeline {
      */
     init() {
         this.setup3DScene();
-        this.createTimelineCards();
+        this.loadTimelineData();
         this.setupScrollListener();
         this.setupResizeListener();
-        this.animate();
+        this.setupContextLossHandling();
+        this.startRenderLoop();
+        this.setupPerformanceHUD();
         
         console.log('3D Journey Timeline initialized');
     }
@@ -120,8 +111,9 @@ class JourneyTimeline {
             antialias: true
         });
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setPixelRatio(this.getPixelRatio());
         this.renderer.setClearColor(0x000000, 0);
+        this.renderer.info.autoReset = false; // Reset per frame in animate()
         
         // Add renderer to timeline
         this.timeline.appendChild(this.renderer.domElement);
@@ -142,7 +134,7 @@ class JourneyTimeline {
      * Create particle system for background effects
      */
     createParticleSystem() {
-        const particleCount = 200;
+        const particleCount = this.particleCount;
         const particles = new THREE.BufferGeometry();
         const positions = new Float32Array(particleCount * 3);
         const colors = new Float32Array(particleCount * 3);
@@ -176,12 +168,60 @@ class JourneyTimeline {
         
         this.particles = new THREE.Points(particles, particleMaterial);
         this.scene.add(this.particles);
+        this.applyParticleScale();
     }
     
     /**
-     * Create timeline cards
+     * Pixel ratio capped at 2 and by the quality tier
+     */
+    getPixelRatio() {
+        return Math.min(window.devicePixelRatio, 2, this.qualityGovernor.tier.maxPixelRatio);
+    }
+    
+    /**
+     * Draw only the tier's share of the particles
+     */
+    applyParticleScale() {
+        const count = Math.round(this.particleCount * this.qualityGovernor.tier.particleScale);
+        this.particles.geometry.setDrawRange(0, Math.max(1, count));
+    }
+    
+    /**
+     * Apply a quality tier chosen by the governor
+     */
+    applyQualityTier() {
+        this.renderer.setPixelRatio(this.getPixelRatio());
+        this.applyParticleScale();
+        this.invalidate();
+    }
+    
+    /**
+     * Load the milestones, then build their cards
+     */
+    loadTimelineData() {
+        loadJourneyEntries(this.timeline.dataset.journeySource).then(({ entries }) => {
+            if (this.destroyed) return;
+            
+            this.timelineData = entries.slice();
+            this.createTimelineCards();
+            this.layoutTimeline();
+            this.updateCardsVisibility();
+            this.invalidate();
+            
+            // A link to a milestone arrived before its card did
+            const target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+            if (target && this.timeline.contains(target) && window.scrollY === 0 && window.navigationSystem) {
+                window.navigationSystem.scrollToSection(window.location.hash, 'auto');
+            }
+        });
+    }
+    
+    /**
+     * Create timeline cards (replacing any already built)
      */
     createTimelineCards() {
+        this.timeline.querySelectorAll('.timeline-card, .timeline-dot, .timeline-span').forEach(element => element.remove());
+        
         this.timelineData.forEach((data, index) => {
             const card = this.createTimelineCard(data, index);
             this.timeline.appendChild(card);
@@ -193,24 +233,45 @@ class JourneyTimeline {
      */
     createTimelineCard(data, index) {
         const card = document.createElement('div');
-        card.className = `timeline-card ${data.side}`;
-        card.style.top = `${data.position * 100}vh`;
+        card.className = 'timeline-card';
+        card.id = data.id;
+        
+        // Span bar for a date range
+        if (data.end !== null || data.ongoing) {
+            const span = document.createElement('div');
+            span.className = data.ongoing ? 'timeline-span ongoing' : 'timeline-span';
+            span.dataset.index = index;
+            this.timeline.appendChild(span);
+        }
         
         // Create dot
         const dot = document.createElement('div');
         dot.className = 'timeline-dot';
-        dot.style.top = `${data.position * 100}vh`;
         this.timeline.appendChild(dot);
         
-        // Card content
-        card.innerHTML = `
-            <div class="card-year">${data.year}</div>
-            <div class="card-title">${data.title}</div>
-            <div class="card-description">${data.description}</div>
-            <div class="card-tags">
-                ${data.tags.map(tag => `<span class="card-tag">${tag}</span>`).join('')}
-            </div>
-        `;
+        // Card content (text only: entries come from a data file)
+        const year = document.createElement('div');
+        year.className = 'card-year';
+        year.textContent = data.year;
+        
+        const title = document.createElement('div');
+        title.className = 'card-title';
+        title.textContent = data.title;
+        
+        const description = document.createElement('div');
+        description.className = 'card-description';
+        description.textContent = data.description;
+        
+        const tags = document.createElement('div');
+        tags.className = 'card-tags';
+        data.tags.forEach((tag) => {
+            const span = document.createElement('span');
+            span.className = 'card-tag';
+            span.textContent = tag;
+            tags.appendChild(span);
+        });
+        
+        card.append(year, title, description, tags);
         
         // Add click handler
         card.addEventListener('click', () => {
@@ -220,6 +281,37 @@ class JourneyTimeline {
         return card;
     }
     
+    /**
+     * Position cards, dots and span bars by date and size the timeline to fit them
+     */
+    layoutTimeline() {
+        const cards = this.timeline.querySelectorAll('.timeline-card');
+        const dots = this.timeline.querySelectorAll('.timeline-dot');
+        
+        const layout = new TimelineLayout({
+            columns: window.innerWidth <= 768 ? 1 : 2,
+            paddingTop: window.innerHeight * 0.9, // First card below the intro
+            paddingBottom: window.innerHeight * 0.5
+        }).compute(this.timelineData, Array.from(cards).map(card => card.offsetHeight));
+        
+        layout.items.forEach((item, index) => {
+            const card = cards[index];
+            card.classList.toggle('left', item.side === 'left');
+            card.classList.toggle('right', item.side === 'right');
+            card.style.top = `${Math.round(item.top)}px`;
+            dots[index].style.top = `${Math.round(item.top)}px`;
+            
+            const span = this.timeline.querySelector(`.timeline-span[data-index="${index}"]`);
+            if (span) {
+                span.style.top = `${Math.round(item.spanTop)}px`;
+                span.style.height = `${Math.round(item.spanHeight)}px`;
+                span.style.setProperty('--lane-offset', `${item.laneOffset}px`);
+            }
+        });
+        
+        this.timeline.style.height = `${layout.height}px`;
+    }
+    
     /**
      * Handle card click
      */
@@ -244,6 +336,8 @@ class JourneyTimeline {
         let ticking = false;
         
         const updateTimeline = () => {
+            if (this.destroyed) return;
+            
             const scrollY = window.scrollY;
             const windowHeight = window.innerHeight;
             const documentHeight = document.documentElement.scrollHeight;
@@ -259,6 +353,7 @@ class JourneyTimeline {
             
             // Update 3D scene
             this.update3DScene();
+            this.noteActivity();
             
             // Hide intro when scrolling starts
             if (scrollY > 100) {
@@ -279,22 +374,23 @@ class JourneyTimeline {
             }
         };
         
-        window.addEventListener('scroll', requestTick, { passive: true });
+        this.lifecycle.listen(window, 'scroll', requestTick, { passive: true });
+        this.lifecycle.listen(window, 'pointermove', () => this.noteActivity(), { passive: true });
     }
     
     /**
      * Update cards visibility based on scroll
      */
     updateCardsVisibility() {
-        const cards = document.querySelectorAll('.timeline-card');
-        const dots = document.querySelectorAll('.timeline-dot');
+        const cards = this.timeline.querySelectorAll('.timeline-card');
+        const dots = this.timeline.querySelectorAll('.timeline-dot');
+        
+        // Timeline px reached by 85% of the viewport height
+        const revealLine = window.innerHeight * 0.85 - this.timeline.getBoundingClientRect().top;
         
         cards.forEach((card, index) => {
-            const cardTop = parseFloat(card.style.top);
-            const cardProgress = cardTop / 100;
-            
             // Show card when it comes into view
-            if (this.scrollProgress >= cardProgress - 0.1) {
+            if (parseFloat(card.style.top) <= revealLine) {
                 card.classList.add('visible');
                 dots[index].classList.add('active');
             } else {
@@ -308,7 +404,7 @@ class JourneyTimeline {
      * Update 3D scene based on scroll
      */
     update3DScene() {
-        if (this.particles) {
+        if (this.particles && !this.isMotionReduced()) {
             // Rotate particles based on scroll
             this.particles.rotation.y = this.scrollProgress * Math.PI * 2;
             this.particles.rotation.x = this.scrollProgress * Math.PI;
@@ -326,42 +422,245 @@ class JourneyTimeline {
      * Setup resize listener
      */
     setupResizeListener() {
-        window.addEventListener('resize', () => {
+        this.lifecycle.listen(window, 'resize', () => {
             const width = window.innerWidth;
             const height = window.innerHeight;
             
             this.camera.aspect = width / height;
             this.camera.updateProjectionMatrix();
             this.renderer.setSize(width, height);
+            
+            // Card heights and the column count depend on the width
+            this.layoutTimeline();
+            this.updateCardsVisibility();
+            this.noteActivity();
         });
     }
     
     /**
-     * Animation loop
+     * Register with the frame scheduler
+     */
+    startRenderLoop() {
+        this.frameHandle = this.scheduler.add({
+            element: this.renderer.domElement,
+            frame: () => this.animate()
+        });
+        
+        // Resume drifting when full motion is switched back on
+        if (this.motionPolicy) {
+            this.unsubscribeMotionPolicy = this.motionPolicy.subscribe(() => this.noteActivity());
+        }
+    }
+    
+    /**
+     * Request a redraw (after scroll, resize or a policy change)
+     */
+    invalidate() {
+        if (this.frameHandle) {
+            this.frameHandle.invalidate();
+        }
+    }
+    
+    /**
+     * Scroll, resize or pointer movement: drift again and restart the settle timer
+     */
+    noteActivity() {
+        this.lastActivityTime = performance.now();
+        this.invalidate();
+    }
+    
+    /**
+     * One animation frame; keeps running only while particles drift (settleAfter past the last activity)
      */
     animate() {
-        requestAnimationFrame(() => this.animate());
+        if (this.contextLost) {
+            return false;
+        }
         
-        if (this.particles) {
+        const now = performance.now();
+        const drifting = !!this.particles && !this.isMotionReduced() &&
+            now - this.lastActivityTime < PARTICLE_DRIFT.settleAfter;
+        
+        this.qualityGovernor.frame(now, drifting);
+        
+        if (drifting) {
             // Animate particles
-            this.particles.rotation.y += 0.001;
-            this.particles.rotation.x += 0.0005;
+            this.particles.rotation.y += PARTICLE_DRIFT.rotationY;
+            this.particles.rotation.x += PARTICLE_DRIFT.rotationX;
         }
         
+        this.renderer.info.reset();
         this.renderer.render(this.scene, this.camera);
+        return drifting;
     }
     
     /**
-     * Add new timeline entry dynamically
+     * Show the performance HUD when the URL has ?debug=perf
      */
-    addTimelineEntry(data) {
-        data.position = this.timelineData.length * 0.1 + 0.1;
-        data.side = this.timelineData.length % 2 === 0 ? 'left' : 'right';
+    setupPerformanceHUD() {
+        if (typeof PerformanceHUD === 'undefined' || !PerformanceHUD.isRequested()) {
+            return;
+        }
+        
+        this.perfHud = new PerformanceHUD(this);
+    }
+    
+    /**
+     * Renderer and scroll state for the performance HUD
+     */
+    getDebugInfo() {
+        const info = this.renderer.info;
+        const drawingBuffer = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        
+        return {
+            quality: this.qualityGovernor.getStats(),
+            renderer: {
+                calls: info.render.calls,
+                triangles: info.render.triangles,
+                lines: info.render.lines,
+                points: info.render.points,
+                geometries: info.memory.geometries,
+                textures: info.memory.textures,
+                programs: info.programs ? info.programs.length : 0
+            },
+            canvas: { width: drawingBuffer.x, height: drawingBuffer.y },
+            pixelRatio: this.renderer.getPixelRatio(),
+            renderTargets: [],
+            view: {
+                scrollProgress: this.scrollProgress,
+                particles: this.particles.geometry.drawRange.count,
+                visibleCards: document.querySelectorAll('.timeline-card.visible').length,
+                reducedMotion: this.isMotionReduced()
+            }
+        };
+    }
+    
+    /**
+     * Whether the motion policy asks for reduced motion
+     */
+    isMotionReduced() {
+        return !!(this.motionPolicy && this.motionPolicy.reduced);
+    }
+    
+    /**
+     * Pause on WebGL context loss; the particles are decorative, so the placeholder is an empty spacer
+     */
+    setupContextLossHandling() {
+        if (typeof ContextLossGuard === 'undefined') return;
+        
+        this.contextGuard = new ContextLossGuard(this.renderer.domElement, {
+            name: 'timeline',
+            message: '',
+            background: 'transparent',
+            onLost: () => {
+                this.contextLost = true;
+                this.qualityGovernor.pause();
+            },
+            onRestored: () => this.onContextRestored()
+        });
+    }
+    
+    /**
+     * Rebuild the particle buffers and material on a fresh context
+     */
+    onContextRestored() {
+        const rotation = this.particles ? this.particles.rotation.clone() : null;
+        
+        if (this.particles) {
+            this.scene.remove(this.particles);
+            this.particles.geometry.dispose();
+            this.particles.material.dispose();
+        }
+        
+        this.createParticleSystem();
+        if (rotation) {
+            this.particles.rotation.copy(rotation);
+        }
         
+        this.contextLost = false;
+        this.invalidate();
+    }
+    
+    /**
+     * Release GPU resources: particle geometry/material and the WebGL context
+     */
+    dispose() {
+        if (this.particles) {
+            this.scene.remove(this.particles);
+            this.particles.geometry.dispose();
+            this.particles.material.dispose();
+            this.particles = null;
+        }
+        
+        if (this.renderer) {
+            this.renderer.dispose();
+        }
+    }
+    
+    /**
+     * Tear the timeline down: render loop, listeners, GPU memory and generated cards
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        
+        if (this.frameHandle) {
+            this.frameHandle.remove();
+            this.frameHandle = null;
+        }
+        
+        this.lifecycle.dispose();
+        
+        if (this.unsubscribeMotionPolicy) {
+            this.unsubscribeMotionPolicy();
+            this.unsubscribeMotionPolicy = null;
+        }
+        
+        if (this.perfHud) {
+            this.perfHud.destroy();
+            this.perfHud = null;
+        }
+        
+        if (this.contextGuard) {
+            this.contextGuard.destroy();
+            this.contextGuard = null;
+        }
+        
+        this.dispose();
+        
+        // Cards, dots and the canvas were all added by this instance
+        this.timeline.querySelectorAll('.timeline-card, .timeline-dot, .timeline-span').forEach(element => element.remove());
+        this.timeline.style.height = '';
+        if (this.renderer) {
+            this.renderer.domElement.remove();
+        }
+        
+        if (window.journeyTimeline === this) {
+            window.journeyTimeline = null;
+        }
+        
+        console.log('3D Journey Timeline destroyed');
+    }
+    
+    /**
+     * Add new timeline entry dynamically (same fields and checks as the data file)
+     */
+    addTimelineEntry(entry) {
+        const problems = JourneyDataSource.check(entry);
+        if (problems.length > 0) {
+            console.warn(`Timeline entry not added: ${problems.join('; ')}`);
+            return null;
+        }
+        
+        const data = JourneyDataSource.normalize(entry);
         this.timelineData.push(data);
+        this.timelineData.sort(JourneyDataSource.compare);
         
-        const card = this.createTimelineCard(data, this.timelineData.length - 1);
-        this.timeline.appendChild(card);
+        this.createTimelineCards();
+        this.layoutTimeline();
+        this.updateCardsVisibility();
+        this.invalidate();
+        return data;
     }
     
     /**
@@ -377,10 +676,17 @@ class JourneyTimeline {
 }
 
 /**
- * Initialize timeline when DOM is ready
+ * Build the timeline whenever the journey page is shown, tear it down when leaving
  */
-document.addEventListener('DOMContentLoaded', () => {
-    window.journeyTimeline = new JourneyTimeline();
+registerPageHooks('journey', {
+    mount: () => {
+        window.journeyTimeline = new JourneyTimeline();
+    },
+    unmount: () => {
+        if (window.journeyTimeline) {
+            window.journeyTimeline.destroy();
+        }
+    }
 });
 
 /**
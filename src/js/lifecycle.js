@@ -0,0 +1,65 @@
+/**
+ * LIFECYCLE
+ * Eva Qi Portfolio - Listener And Timer Bookkeeping
+ * 
+ * FEATURES:
+ * - addEventListener / setTimeout wrappers that remember what they set up
+ * - cancel() stops one timer early; dispose() removes every listener and cancels every pending timer
+ * - Lets a component's destroy() undo its wiring without tracking it by hand
+ * 
+ * USAGE:
+ *   this.lifecycle = new Lifecycle();
+ *   this.lifecycle.listen(window, 'resize', onResize);
+ *   const timer = this.lifecycle.later(() => reveal(), 500);
+ *   this.lifecycle.cancel(timer); // not needed any more
+ *   this.lifecycle.dispose(); // in destroy()
+ */
+
+class Lifecycle {
+    constructor() {
+        this.listeners = [];
+        this.timers = new Set();
+    }
+    
+    /**
+     * addEventListener that dispose() undoes
+     */
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+    
+    /**
+     * setTimeout that dispose() cancels; returns the timer id
+     */
+    later(callback, delay) {
+        const id = setTimeout(() => {
+            this.timers.delete(id);
+            callback();
+        }, delay);
+        this.timers.add(id);
+        return id;
+    }
+    
+    /**
+     * Cancel a timer from later() before it fires
+     */
+    cancel(id) {
+        if (this.timers.delete(id)) {
+            clearTimeout(id);
+        }
+    }
+    
+    /**
+     * Remove every listener and cancel every pending timer
+     */
+    dispose() {
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+        
+        this.timers.forEach(id => clearTimeout(id));
+        this.timers.clear();
+    }
+}
@@ -1,18 +1,367 @@
 /**
- * OPTIMIZED EVANOLOTT - Professional Dynamic 3D Portfolio
- * Eva Qi Portfolio - Enhanced Performance & Mobile Controls
+ * EVANOLOTT - Professional Dynamic 3D Portfolio
+ * Eva Qi Portfolio - Shared Renderer Core
  * 
- * KEY OPTIMIZATIONS:
- * - Efficient rendering with conditional updates
- * - Mobile virtual joystick controls
+ * KEY FEATURES:
+ * - One renderer class for every device, tuned by a device profile
+ * - Configurable wordmark text, font and bevel (config object or data-attributes)
+ * - Cached, bundled font with a traced system-font fallback for offline use
+ * - Live-tunable lens effect (setLensOptions) with named presets
+ * - Lens shapes (circle, hexagon, rounded square) and distortion modes
+ * - One lens per finger on touch devices, up to the profile's maxLenses
+ * - Idle attract mode that sweeps the lens over the wordmark
+ * - Keyboard (focusable canvas) and gamepad controls
+ * - Honours the shared motion policy (reduced motion / low-power mode)
+ * - Render-on-demand through the shared frame scheduler
+ * - Adaptive quality tiers driven by measured frame time
+ * - Developer performance HUD with ?debug=perf
+ * - destroy() releases GPU memory, listeners and timers
+ * - Survives WebGL context loss: placeholder while lost, full rebuild on restore
+ * - Falls back to the static wordmark (fallback-hero.js) if initialization fails
+ * - Mobile virtual joystick controls and touch lens
  * - Single "Click Me" button for smooth zoom
- * - Improved performance monitoring
  * - Clean code architecture
  * - Better UX positioning
  */
 
-class OptimizedPortfolio3DRenderer {
-    constructor() {
+/**
+ * Device profiles for the renderer
+ * 
+ * Values that depend on the device type (camera distance, text size,
+ * fallback size) are maps keyed by 'mobile' / 'tablet' / 'desktop'.
+ */
+const RENDERER_PROFILES = {
+    desktop: {
+        name: 'desktop',
+        label: 'Desktop',
+        deviceType: null, // Use the detected device type
+        
+        // Interaction
+        rotationDamping: 0.12,
+        maxRotationX: Math.PI / 3,
+        maxRotationY: Math.PI / 2.5,
+        mousePitchFactor: 0.6,
+        joystickPitchFactor: 0.6,
+        
+        // Scale/zoom
+        baseScale: 1.0,
+        scaleDamping: 0.15,
+        minScale: 0.8,
+        maxScale: 2.5,
+        zoomThreshold: 1.6,
+        
+        // Role typing
+        typingSpeed: 80,
+        roleDisplayTime: 2500,
+        
+        // Performance
+        cameraUpdateThreshold: 16, // ~60fps
+        
+        renderer: {
+            antialias: true,
+            powerPreference: 'high-performance',
+            maxPixelRatio: 2,
+            toneMappingExposure: 1.0
+        },
+        camera: {
+            fov: 65,
+            far: 100, // Reduced far plane for better performance
+            distance: { mobile: 6, tablet: 7, desktop: 8 }
+        },
+        lights: [
+            { type: 'ambient', color: 0x404040, intensity: 0.3 },
+            { type: 'directional', color: 0xffffff, intensity: 2.5, position: [10, -8, 12] },
+            { type: 'directional', color: 0x4488ff, intensity: 1.0, position: [-6, 3, 8] }
+        ],
+        lensRadius: 0.13,
+        maxLenses: 1, // Mouse lens only
+        text: {
+            size: { mobile: 0.8, tablet: 1.0, desktop: 1.2 },
+            depthRatio: 0.15,
+            curveSegments: 12,
+            bevelThicknessRatio: 0.025,
+            bevelSizeRatio: 0.01,
+            bevelSegments: 8,
+            metalness: 0.95,
+            roughness: 0.05
+        },
+        fallbackSize: {
+            mobile: { width: 3.5, height: 0.8, depth: 0.4 },
+            tablet: { width: 4.5, height: 1.0, depth: 0.5 },
+            desktop: { width: 6.0, height: 1.2, depth: 0.6 }
+        }
+    },
+    
+    mobile: {
+        name: 'mobile',
+        label: 'Mobile',
+        deviceType: 'mobile', // This profile is mobile-specific
+        
+        // Interaction (reduced for mobile)
+        rotationDamping: 0.15,
+        maxRotationX: Math.PI / 4,
+        maxRotationY: Math.PI / 3,
+        mousePitchFactor: 0.6,
+        joystickPitchFactor: 1.0,
+        
+        // Scale/zoom (adjusted for mobile base scale)
+        baseScale: 0.7,
+        scaleDamping: 0.2,
+        minScale: 0.8,
+        maxScale: 2.0,
+        zoomThreshold: 1.4,
+        
+        // Role typing (slower, longer display time for mobile)
+        typingSpeed: 100,
+        roleDisplayTime: 3000,
+        
+        // Performance
+        cameraUpdateThreshold: 33, // ~30fps for mobile
+        
+        renderer: {
+            antialias: false, // Disabled for mobile performance
+            powerPreference: 'low-power',
+            maxPixelRatio: 1.5,
+            toneMappingExposure: 0.8
+        },
+        camera: {
+            fov: 70, // Wider FOV for mobile
+            far: 50,
+            distance: { mobile: 5 }
+        },
+        lights: [
+            { type: 'ambient', color: 0x404040, intensity: 0.4 },
+            { type: 'directional', color: 0xffffff, intensity: 1.5, position: [5, -5, 8] }
+        ],
+        lensRadius: 0.15, // Slightly larger for touch
+        maxLenses: 4, // One per finger
+        text: {
+            size: { mobile: 0.8 },
+            depthRatio: 0.1875,
+            curveSegments: 8,
+            bevelThicknessRatio: 0.025,
+            bevelSizeRatio: 0.0125,
+            bevelSegments: 4,
+            metalness: 0.9,
+            roughness: 0.1
+        },
+        fallbackSize: {
+            mobile: { width: 3, height: 0.6, depth: 0.3 }
+        }
+    }
+};
+
+/**
+ * Default hero wordmark settings
+ * 
+ * Geometry settings (size, depthRatio, curveSegments, bevel*) default to the
+ * device profile's text block. Anything here can be overridden by
+ * data-attributes on the canvas host, then by the renderer config object.
+ */
+const DEFAULT_HERO_CONFIG = {
+    text: 'Evanolott',
+    fontUrl: 'src/assets/fonts/gentilis_bold.typeface.json', // Bundled with the site
+    fallbackFontUrl: 'https://threejs.org/examples/fonts/gentilis_bold.typeface.json',
+    systemFontFamily: 'Georgia, "Times New Roman", serif', // Traced when no font loads
+    bevelEnabled: true
+};
+
+/**
+ * Canvas host data-attributes mapped to hero config keys
+ * 
+ * e.g. <body data-hero-host data-hero-text="Jane Doe" data-text-size-mobile="0.6">
+ */
+const HERO_DATA_ATTRIBUTES = {
+    heroText: { key: 'text', type: 'string' },
+    fontUrl: { key: 'fontUrl', type: 'string' },
+    fontFallbackUrl: { key: 'fallbackFontUrl', type: 'string' },
+    systemFont: { key: 'systemFontFamily', type: 'string' },
+    bevelEnabled: { key: 'bevelEnabled', type: 'boolean' },
+    bevelThickness: { key: 'bevelThicknessRatio', type: 'number' },
+    bevelSize: { key: 'bevelSizeRatio', type: 'number' },
+    bevelSegments: { key: 'bevelSegments', type: 'number' },
+    curveSegments: { key: 'curveSegments', type: 'number' },
+    textDepth: { key: 'depthRatio', type: 'number' },
+    textSize: { key: 'size', type: 'number' },
+    textSizeMobile: { key: 'size', device: 'mobile', type: 'number' },
+    textSizeTablet: { key: 'size', device: 'tablet', type: 'number' },
+    textSizeDesktop: { key: 'size', device: 'desktop', type: 'number' }
+};
+
+/**
+ * Lens effect presets
+ * 
+ * Colours are [r, g, b] in 0-1, hex numbers or CSS colour strings.
+ */
+const LENS_PRESETS = {
+    pink: {
+        centerColor: [0.97, 0.85, 0.93],
+        edgeColor: [0.94, 0.48, 0.78],
+        gradientStrength: 0.65,
+        wireframeColor: [1.0, 1.0, 1.0],
+        wireframeThreshold: 0.3,
+        glowColor: [0.9, 0.5, 0.8],
+        glowIntensity: 0.35,
+        glowWidth: 0.015,
+        glowInset: 0.004
+    },
+    mono: {
+        centerColor: [0.92, 0.92, 0.92],
+        edgeColor: [0.55, 0.55, 0.55],
+        gradientStrength: 0.8,
+        wireframeColor: [0.05, 0.05, 0.05],
+        wireframeThreshold: 0.3,
+        glowColor: [1.0, 1.0, 1.0],
+        glowIntensity: 0.25,
+        glowWidth: 0.012,
+        glowInset: 0.004
+    },
+    'x-ray': {
+        centerColor: [0.02, 0.06, 0.14],
+        edgeColor: [0.08, 0.22, 0.4],
+        gradientStrength: 1.0,
+        wireframeColor: [0.75, 0.95, 1.0],
+        wireframeThreshold: 0.2,
+        glowColor: [0.3, 0.8, 1.0],
+        glowIntensity: 0.5,
+        glowWidth: 0.02,
+        glowInset: 0.006
+    },
+    thermal: {
+        centerColor: [1.0, 0.85, 0.2],
+        edgeColor: [0.55, 0.0, 0.45],
+        gradientStrength: 1.0,
+        wireframeColor: [1.0, 1.0, 0.85],
+        wireframeThreshold: 0.25,
+        glowColor: [1.0, 0.35, 0.0],
+        glowIntensity: 0.45,
+        glowWidth: 0.018,
+        glowInset: 0.004
+    }
+};
+
+/**
+ * Lens option names mapped to composite shader uniforms
+ * 
+ * `radius` is handled separately: it is the default for every lens in uLensRadii.
+ */
+const LENS_UNIFORMS = {
+    centerColor: 'uCenterColor',
+    edgeColor: 'uEdgeColor',
+    gradientStrength: 'uGradientStrength',
+    wireframeColor: 'uWireframeColor',
+    wireframeThreshold: 'uWireframeThreshold',
+    glowColor: 'uGlowColor',
+    glowIntensity: 'uGlowIntensity',
+    glowWidth: 'uGlowWidth',
+    glowInset: 'uGlowInset',
+    shape: 'uLensShape',
+    mode: 'uLensMode',
+    feather: 'uFeather',
+    cornerRadius: 'uCornerRadius',
+    magnification: 'uMagnification',
+    barrelStrength: 'uBarrelStrength',
+    rippleStrength: 'uRippleStrength',
+    rippleFrequency: 'uRippleFrequency',
+    rippleSpeed: 'uRippleSpeed'
+};
+
+/**
+ * Lens aperture shapes and distortion modes (shader int values)
+ * 
+ * - reveal: flat lens that swaps in the wireframe
+ * - magnify: zoomed wireframe with barrel distortion
+ * - refract: wireframe seen through an animated ripple normal map
+ */
+const LENS_SHAPES = { circle: 0, hexagon: 1, 'rounded-square': 2 };
+const LENS_MODES = { reveal: 0, magnify: 1, refract: 2 };
+const LENS_ENUMS = { shape: LENS_SHAPES, mode: LENS_MODES };
+
+/**
+ * Shape and distortion defaults (kept when switching colour presets)
+ */
+const DEFAULT_LENS_GEOMETRY = {
+    shape: 'circle',
+    mode: 'reveal',
+    feather: 0, // Fraction of the radius; 0 = hard edge
+    cornerRadius: 0.35, // Fraction of the radius, rounded-square only
+    magnification: 1.8,
+    barrelStrength: 0.4,
+    rippleStrength: 0.012,
+    rippleFrequency: 45.0,
+    rippleSpeed: 3.0
+};
+
+/**
+ * Idle attract mode defaults
+ * 
+ * The lens follows a Lissajous curve over the wordmark's on-screen bounds:
+ * x = sin(frequencyX * t + phase), y = sin(frequencyY * t), t in radians.
+ */
+const DEFAULT_ATTRACT_CONFIG = {
+    enabled: true,
+    idleDelay: 6000, // ms without input before attract mode starts
+    speed: 0.6, // Path radians per second
+    frequencyX: 3,
+    frequencyY: 2,
+    phase: Math.PI / 2,
+    amplitudeX: 0.9, // Fraction of the wordmark's half-width
+    amplitudeY: 0.7, // Fraction of the wordmark's half-height
+    easeIn: 1.2, // Seconds to glide from the last lens position onto the path
+    tiltX: 0.12, // Peak pitch in radians
+    tiltY: 0.3, // Peak yaw in radians
+    tiltSpeed: 0.25 // Tilt radians per second
+};
+
+/**
+ * Keyboard bindings, by KeyboardEvent.code (physical key) or .key (typed character)
+ */
+const KEY_BINDINGS = {
+    ArrowLeft: 'left',
+    KeyA: 'left',
+    ArrowRight: 'right',
+    KeyD: 'right',
+    ArrowUp: 'up',
+    KeyW: 'up',
+    ArrowDown: 'down',
+    KeyS: 'down',
+    '+': 'zoomIn',
+    NumpadAdd: 'zoomIn',
+    PageUp: 'zoomIn',
+    '-': 'zoomOut',
+    NumpadSubtract: 'zoomOut',
+    PageDown: 'zoomOut',
+    Enter: 'reveal',
+    NumpadEnter: 'reveal'
+};
+
+/**
+ * Keyboard and gamepad tuning (standard gamepad mapping)
+ */
+const DIRECT_INPUT = {
+    zoomRate: 1.0, // Scale units per second at full input
+    stickDeadzone: 0.15,
+    triggerDeadzone: 0.05,
+    idlePollInterval: 250, // ms between checks of an idle gamepad while the loop sleeps
+    zoomInButton: 7, // Right trigger
+    zoomOutButton: 6, // Left trigger
+    revealButtons: [0, 9] // A / Cross, Start
+};
+
+class Portfolio3DRenderer {
+    constructor(profile = RENDERER_PROFILES.desktop, config = {}) {
+        this.profile = profile;
+        
+        // Hero wordmark: defaults < profile text < host data-attributes < config
+        this.canvasHost = config.host || document.querySelector('[data-hero-host]') || document.body;
+        this.heroConfig = this.mergeHeroConfig(
+            this.mergeHeroConfig(Object.assign({}, DEFAULT_HERO_CONFIG, profile.text), this.readHeroDataset(this.canvasHost)),
+            config
+        );
+        this.font = null;
+        this.fontRequestId = 0;
+        this.fontLoader = new CachedFontLoader();
+        
         // Core Three.js components
         this.scene = null;
         this.wireframeScene = null;
@@ -24,37 +373,40 @@ class OptimizedPortfolio3DRenderer {
         // Render targets for lens effect
         this.mainRenderTarget = null;
         this.wireframeRenderTarget = null;
-        this.compositeQuad = null;
+        this.postProcessing = null; // Ordered pass chain, lens composite first
+        this.lensPass = null;
         this.lensUniforms = null;
+        this.lensPreset = null;
         
         // Interaction system
         this.mouse = new THREE.Vector2();
         this.targetRotation = new THREE.Euler();
         this.currentRotation = new THREE.Euler();
-        this.rotationDamping = 0.12;
-        this.maxRotationX = Math.PI / 3;
-        this.maxRotationY = Math.PI / 2.5;
+        this.rotationDamping = profile.rotationDamping;
+        this.maxRotationX = profile.maxRotationX;
+        this.maxRotationY = profile.maxRotationY;
         
         // Scale/zoom system
-        this.baseScale = 1.0;
+        this.baseScale = profile.baseScale;
         this.currentScale = 1.0;
         this.targetScale = 1.0;
-        this.scaleDamping = 0.15;
-        this.minScale = 0.8;
-        this.maxScale = 2.5;
-        this.zoomThreshold = 1.6;
+        this.scaleDamping = profile.scaleDamping;
+        this.minScale = profile.minScale;
+        this.maxScale = profile.maxScale;
+        this.zoomThreshold = profile.zoomThreshold;
         this.isAutoZooming = false; // Flag for smooth auto-zoom
         
         // UI elements
         this.overlay = document.getElementById('overlay');
         this.timedHint = document.getElementById('timed-hint');
-        this.info = document.getElementById('info');
         this.overlayVisible = false;
         
         // Device detection (use global device detector if available)
-        this.isMobile = window.deviceDetector ? window.deviceDetector.isMobile : this.detectMobile();
+        this.isMobile = profile.deviceType === 'mobile' ||
+            (window.deviceDetector ? window.deviceDetector.isMobile : this.detectMobile());
         this.isTablet = window.deviceDetector ? window.deviceDetector.isTablet : this.detectTablet();
-        this.deviceType = window.deviceDetector ? window.deviceDetector.deviceType : this.getDeviceType();
+        this.deviceType = profile.deviceType ||
+            (window.deviceDetector ? window.deviceDetector.deviceType : this.getDeviceType());
         
         // Mobile controls
         this.mobileControls = document.getElementById('mobileControls');
@@ -65,28 +417,71 @@ class OptimizedPortfolio3DRenderer {
         this.joystickCenter = { x: 0, y: 0 };
         this.joystickRadius = 40; // Max distance from center
         
+        // Touch tracking for proper multi-touch handling
+        this.activeJoystickTouches = new Set(); // Track which touches are controlling joystick
+        this.activePinkLightTouches = new Map(); // Touch identifier -> lens it controls
+        
+        // Lenses: the first one follows the mouse / first finger and always stays visible
+        this.maxLenses = config.maxLenses || profile.maxLenses;
+        this.lensRadius = profile.lensRadius;
+        this.lenses = [this.createLens()];
+        
+        // Idle attract mode
+        this.attractConfig = Object.assign({}, DEFAULT_ATTRACT_CONFIG, profile.attract, config.attract);
+        this.attractActive = false;
+        this.attractStartTime = 0;
+        this.attractOrigin = new THREE.Vector2();
+        this.attractBounds = null;
+        this.lastInputTime = performance.now();
+        
+        // Keyboard and gamepad
+        this.heldKeys = new Map(); // KeyboardEvent.code -> bound action, while the key is down
+        this.gamepadCount = 0;
+        this.gamepadRevealPressed = false;
+        this.gamepadActive = false; // A stick is off centre or a button / trigger is held
+        this.gamepadPollTimer = null;
+        this.directRotationActive = false; // Keys/stick currently own targetRotation
+        this.lastDirectInputTime = performance.now();
+        
+        // Motion policy: reduced motion snaps instead of easing
+        this.motionPolicy = config.motionPolicy || window.motionPolicy || null;
+        this.reducedMotion = this.motionPolicy ? this.motionPolicy.reduced : false;
+        
+        // Mouse movement tracking for render optimization
+        this.lastMouseX = 0;
+        this.lastMouseY = 0;
+        this.mouseHasMoved = false;
+        
         // Role cycling system
-        this.roles = [
-            { text: 'Developer', class: 'role-developer' },
-            { text: 'Quant Researcher', class: 'role-researcher' },
-            { text: 'Artist', class: 'role-artist' },
-            { text: 'Educator', class: 'role-educator' },
-            { text: 'Entrepreneur', class: 'role-entrepreneur' },
-            { text: 'Wine Connoisseur', class: 'role-connoisseur' }
-        ];
-        this.currentRoleIndex = 0;
-        this.roleElement = null;
-        this.isTyping = false;
-        this.typingSpeed = 80;
-        this.roleDisplayTime = 2500;
+        this.roles = HERO_ROLES;
+        this.roleTypewriter = null;
+        this.typingSpeed = profile.typingSpeed;
+        this.roleDisplayTime = profile.roleDisplayTime;
         this.hasSeenIntro = false;
         
+        // Lifecycle: everything destroy() has to undo
+        this.lifecycle = new Lifecycle();
+        this.unsubscribeMotionPolicy = null;
+        this.destroyed = false;
+        this.failed = false; // init() threw and handed over to the fallback hero
+        
+        // WebGL context loss (mobile browsers reclaiming the GPU)
+        this.contextGuard = null;
+        this.contextLost = false;
+        
         // Performance optimization
-        this.frameCount = 0;
-        this.lastTime = performance.now();
+        this.perfHud = null;
         this.renderRequested = false;
+        this.scheduler = config.scheduler || window.frameScheduler;
+        this.frameHandle = null; // Set once the render loop starts
+        
+        // Adaptive quality: pixel ratio, render-target size and text detail
+        this.qualityGovernor = new QualityGovernor(Object.assign({}, profile.quality, config.quality, {
+            onChange: tier => this.applyQualityTier(tier)
+        }));
+        this.segmentScale = this.qualityGovernor.tier.segmentScale;
         this.lastCameraUpdate = 0;
-        this.cameraUpdateThreshold = 16; // ~60fps
+        this.cameraUpdateThreshold = profile.cameraUpdateThreshold;
         
         this.init();
     }
@@ -100,8 +495,8 @@ class OptimizedPortfolio3DRenderer {
     }
     
     detectTablet() {
-        return /iPad|Android/i.test(navigator.userAgent) && 
-               window.innerWidth > 768 && 
+        return /iPad|Android/i.test(navigator.userAgent) &&
+               window.innerWidth > 768 &&
                window.innerWidth <= 1024;
     }
     
@@ -111,26 +506,102 @@ class OptimizedPortfolio3DRenderer {
         return 'desktop';
     }
     
+    /**
+     * Resolve a profile value that may be keyed by device type
+     */
+    resolveForDevice(value) {
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (this.deviceType in value) {
+            return value[this.deviceType];
+        }
+        return value.tablet || value[Object.keys(value)[0]];
+    }
+    
+    /**
+     * Read hero config overrides from the canvas host's data-attributes
+     */
+    readHeroDataset(host) {
+        const dataset = host.dataset || {};
+        const config = {};
+        
+        Object.keys(HERO_DATA_ATTRIBUTES).forEach(attribute => {
+            const raw = dataset[attribute];
+            if (raw === undefined || raw === '') return;
+            
+            const { key, device, type } = HERO_DATA_ATTRIBUTES[attribute];
+            let value = raw;
+            if (type === 'number') {
+                value = parseFloat(raw);
+                if (isNaN(value)) {
+                    console.warn(`Ignoring data-${attribute.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}: not a number`);
+                    return;
+                }
+            } else if (type === 'boolean') {
+                value = raw !== 'false';
+            }
+            
+            if (device) {
+                // A plain data-text-size applies to every device unless overridden
+                const shared = config[key];
+                const sizes = typeof shared === 'number'
+                    ? { mobile: shared, tablet: shared, desktop: shared }
+                    : (shared || {});
+                config[key] = Object.assign(sizes, { [device]: value });
+            } else {
+                config[key] = value;
+            }
+        });
+        
+        return config;
+    }
+    
+    /**
+     * Merge hero config overrides; per-device size maps are merged key by key
+     */
+    mergeHeroConfig(base, overrides) {
+        const merged = Object.assign({}, base);
+        
+        Object.keys(overrides).forEach(key => {
+            if (key === 'host' || overrides[key] === undefined) return;
+            
+            const value = overrides[key];
+            if (key === 'size' && typeof value === 'object' && typeof merged.size === 'object') {
+                merged.size = Object.assign({}, merged.size, value);
+            } else {
+                merged[key] = value;
+            }
+        });
+        
+        return merged;
+    }
+    
     /**
      * Initialize the portfolio system
      */
     init() {
-        console.log('Starting Optimized Eva Qi Portfolio Renderer');
+        console.log(`Starting ${this.profile.label} Eva Qi Portfolio Renderer`);
         try {
             this.setupRenderer();
             this.setupScenes();
             this.setupCamera();
             this.setupLighting();
             this.setupRenderTargets();
+            this.setupContextLossHandling();
             this.loadFont();
             this.setupEventListeners();
+            this.setupDirectControls();
             this.setupMobileControls();
             this.setupRoleAnimation();
+            this.setupMotionPolicy();
             this.startTutorial();
-            this.animate();
+            this.startRenderLoop();
+            this.setupPerformanceHUD();
             console.log('All systems optimized and ready');
         } catch (error) {
             console.error('Initialization failed:', error);
+            this.failed = true;
             this.showErrorMessage(error);
         }
     }
@@ -139,27 +610,37 @@ class OptimizedPortfolio3DRenderer {
      * Setup optimized WebGL renderer
      */
     setupRenderer() {
-        this.renderer = new THREE.WebGLRenderer({ 
-            antialias: true,
+        const options = this.profile.renderer;
+        
+        this.renderer = new THREE.WebGLRenderer({
+            antialias: options.antialias,
             alpha: false,
-            powerPreference: "high-performance",
+            powerPreference: options.powerPreference,
             stencilBuffer: false,
             depth: true
         });
         
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setPixelRatio(this.getPixelRatio());
         this.renderer.setClearColor(0x1a1a2e, 1.0);
         this.renderer.outputEncoding = THREE.sRGBEncoding;
         this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-        this.renderer.toneMappingExposure = 1.0;
+        this.renderer.toneMappingExposure = options.toneMappingExposure;
         
         // Performance optimizations
         this.renderer.sortObjects = false;
         this.renderer.shadowMap.enabled = false; // Disable shadows for better performance
+        this.renderer.info.autoReset = false; // Reset once per frame so stats cover every pass
         
-        document.body.appendChild(this.renderer.domElement);
-        console.log('Optimized renderer configured');
+        // Focusable for keyboard control
+        const canvas = this.renderer.domElement;
+        canvas.classList.add('hero-canvas');
+        canvas.tabIndex = 0;
+        canvas.setAttribute('role', 'application');
+        canvas.setAttribute('aria-label', 'Interactive 3D wordmark. Arrow keys or WASD rotate, plus and minus zoom, Enter reveals the introduction.');
+        
+        this.canvasHost.appendChild(canvas);
+        console.log(`${this.profile.label} renderer configured`);
     }
     
     /**
@@ -175,24 +656,17 @@ class OptimizedPortfolio3DRenderer {
      * Setup camera
      */
     setupCamera() {
+        const options = this.profile.camera;
+        
         this.camera = new THREE.PerspectiveCamera(
-            65, 
-            window.innerWidth / window.innerHeight, 
-            0.1, 
-            100 // Reduced far plane for better performance
+            options.fov,
+            window.innerWidth / window.innerHeight,
+            0.1,
+            options.far
         );
         
         // Responsive camera position based on device type
-        const getCameraDistance = () => {
-            switch (this.deviceType) {
-                case 'mobile': return 6;
-                case 'tablet': return 7; // Original tablet distance
-                case 'desktop': return 8; // Closer for larger text
-                default: return 7;
-            }
-        };
-        
-        this.camera.position.set(0, 0, getCameraDistance());
+        this.camera.position.set(0, 0, this.resolveForDevice(options.distance));
     }
     
     /**
@@ -200,16 +674,15 @@ class OptimizedPortfolio3DRenderer {
      */
     setupLighting() {
         // Reduced number of lights for better performance
-        const ambientLight = new THREE.AmbientLight(0x404040, 0.3);
-        this.scene.add(ambientLight);
-        
-        const mainLight = new THREE.DirectionalLight(0xffffff, 2.5);
-        mainLight.position.set(10, -8, 12);
-        this.scene.add(mainLight);
-        
-        const rimLight = new THREE.DirectionalLight(0x4488ff, 1.0);
-        rimLight.position.set(-6, 3, 8);
-        this.scene.add(rimLight);
+        this.profile.lights.forEach(light => {
+            if (light.type === 'ambient') {
+                this.scene.add(new THREE.AmbientLight(light.color, light.intensity));
+            } else {
+                const directionalLight = new THREE.DirectionalLight(light.color, light.intensity);
+                directionalLight.position.set(...light.position);
+                this.scene.add(directionalLight);
+            }
+        });
         
         console.log('Optimized lighting setup complete');
     }
@@ -218,8 +691,7 @@ class OptimizedPortfolio3DRenderer {
      * Setup render targets
      */
     setupRenderTargets() {
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        const { width, height } = this.getRenderTargetSize();
         
         const renderTargetParams = {
             minFilter: THREE.LinearFilter,
@@ -231,408 +703,1177 @@ class OptimizedPortfolio3DRenderer {
         this.mainRenderTarget = new THREE.WebGLRenderTarget(width, height, renderTargetParams);
         this.wireframeRenderTarget = new THREE.WebGLRenderTarget(width, height, renderTargetParams);
         
+        this.postProcessing = new PostProcessingPipeline(width, height);
         this.createCompositeShader();
     }
     
     /**
-     * Create lens effect shader
+     * Create lens effect shader as the first built-in post-processing pass
      */
     createCompositeShader() {
-        const geometry = new THREE.PlaneGeometry(2, 2);
-        
         const uniforms = {
             uMainTexture: { value: this.mainRenderTarget.texture },
             uWireframeTexture: { value: this.wireframeRenderTarget.texture },
-            uMouse: { value: new THREE.Vector2() },
-            uResolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
-            uLensRadius: { value: 0.13 },
+            uLensCenters: { value: Array.from({ length: this.maxLenses }, () => new THREE.Vector2()) },
+            uLensRadii: { value: new Array(this.maxLenses).fill(this.lensRadius) },
+            uLensCount: { value: 1 },
+            uResolution: { value: new THREE.Vector2() }, // Set by the pipeline when the pass is added
+            uCenterColor: { value: new THREE.Color() },
+            uEdgeColor: { value: new THREE.Color() },
+            uGradientStrength: { value: 0 },
+            uWireframeColor: { value: new THREE.Color() },
+            uWireframeThreshold: { value: 0 },
+            uGlowColor: { value: new THREE.Color() },
+            uGlowIntensity: { value: 0 },
+            uGlowWidth: { value: 0 },
+            uGlowInset: { value: 0 },
+            uLensShape: { value: 0 },
+            uLensMode: { value: 0 },
+            uFeather: { value: 0 },
+            uCornerRadius: { value: 0 },
+            uMagnification: { value: 1 },
+            uBarrelStrength: { value: 0 },
+            uRippleStrength: { value: 0 },
+            uRippleFrequency: { value: 0 },
+            uRippleSpeed: { value: 0 },
             uTime: { value: 0 }
         };
         
-        const vertexShader = `
-            varying vec2 vUv;
-            void main() {
-                vUv = uv;
-                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-            }
-        `;
-        
         const fragmentShader = `
+            #define MAX_LENSES ${this.maxLenses}
+            
             uniform sampler2D uMainTexture;
             uniform sampler2D uWireframeTexture;
-            uniform vec2 uMouse;
+            uniform vec2 uLensCenters[MAX_LENSES];
+            uniform float uLensRadii[MAX_LENSES];
+            uniform int uLensCount;
             uniform vec2 uResolution;
-            uniform float uLensRadius;
+            uniform vec3 uCenterColor;
+            uniform vec3 uEdgeColor;
+            uniform float uGradientStrength;
+            uniform vec3 uWireframeColor;
+            uniform float uWireframeThreshold;
+            uniform vec3 uGlowColor;
+            uniform float uGlowIntensity;
+            uniform float uGlowWidth;
+            uniform float uGlowInset;
+            uniform int uLensShape;
+            uniform int uLensMode;
+            uniform float uFeather;
+            uniform float uCornerRadius;
+            uniform float uMagnification;
+            uniform float uBarrelStrength;
+            uniform float uRippleStrength;
+            uniform float uRippleFrequency;
+            uniform float uRippleSpeed;
             uniform float uTime;
             varying vec2 vUv;
             
+            // Distance-like measure that equals radius on the aperture edge
+            float lensDistance(vec2 p, float radius) {
+                if (uLensShape == 1) {
+                    vec2 q = abs(p);
+                    return max(dot(q, vec2(0.866025, 0.5)), q.y);
+                }
+                if (uLensShape == 2) {
+                    float corner = uCornerRadius * radius;
+                    vec2 q = abs(p) - vec2(radius) + corner;
+                    return length(max(q, 0.0)) + min(max(q.x, q.y), 0.0) - corner + radius;
+                }
+                return length(p);
+            }
+            
             void main() {
                 vec2 uv = vUv;
-                vec2 mouseUV = uMouse * 0.5 + 0.5;
-                
                 float aspectRatio = uResolution.x / uResolution.y;
+                
+                // The lens this pixel is deepest inside (relative to its radius) wins
+                vec2 mouseUV = uLensCenters[0] * 0.5 + 0.5;
+                float uLensRadius = uLensRadii[0];
+                float closest = 1e6;
+                for (int i = 0; i < MAX_LENSES; i++) {
+                    if (i >= uLensCount) break;
+                    vec2 centerUV = uLensCenters[i] * 0.5 + 0.5;
+                    float relative = lensDistance((uv - centerUV) * vec2(aspectRatio, 1.0), uLensRadii[i]) / uLensRadii[i];
+                    if (relative < closest) {
+                        closest = relative;
+                        mouseUV = centerUV;
+                        uLensRadius = uLensRadii[i];
+                    }
+                }
+                
                 vec2 correctedUV = (uv - mouseUV) * vec2(aspectRatio, 1.0);
-                float distance = length(correctedUV);
+                float distance = lensDistance(correctedUV, uLensRadius);
+                float normalizedDist = clamp(distance / uLensRadius, 0.0, 1.0);
+                
+                // Where the lens looks: straight through, magnified or refracted
+                vec2 lensUV = uv;
+                if (uLensMode == 1) {
+                    float barrel = 1.0 + uBarrelStrength * normalizedDist * normalizedDist;
+                    lensUV = mouseUV + (uv - mouseUV) * barrel / uMagnification;
+                } else if (uLensMode == 2) {
+                    float phase = normalizedDist * uRippleFrequency - uTime * uRippleSpeed;
+                    vec2 rippleNormal = normalize(correctedUV + 1e-5) * cos(phase);
+                    lensUV = uv + rippleNormal * uRippleStrength * (1.0 - normalizedDist);
+                }
                 
                 vec4 mainColor = texture2D(uMainTexture, uv);
-                vec4 wireframeColor = texture2D(uWireframeTexture, uv);
+                vec4 wireframeColor = texture2D(uWireframeTexture, lensUV);
                 
-                if (distance < uLensRadius) {
-                    float normalizedDist = distance / uLensRadius;
-                    vec3 edgePink = vec3(0.94, 0.48, 0.78);
-                    vec3 centerPink = vec3(0.97, 0.85, 0.93);
-                    vec3 pinkGradient = mix(centerPink, edgePink, normalizedDist * 0.65);
-                    
-                    float wireframeBrightness = dot(wireframeColor.rgb, vec3(0.299, 0.587, 0.114));
-                    
-                    if (wireframeBrightness > 0.3) {
-                        gl_FragColor = vec4(1.0, 1.0, 1.0, 1.0);
-                    } else {
-                        gl_FragColor = vec4(pinkGradient, 1.0);
-                    }
-                } else {
-                    gl_FragColor = mainColor;
-                }
+                vec3 lensGradient = mix(uCenterColor, uEdgeColor, normalizedDist * uGradientStrength);
+                float wireframeBrightness = dot(wireframeColor.rgb, vec3(0.299, 0.587, 0.114));
+                vec3 lensColor = wireframeBrightness > uWireframeThreshold ? uWireframeColor : lensGradient;
+                
+                // Hard edge, or feathered over the outer uFeather fraction of the radius
+                float lensMask = uFeather > 0.0
+                    ? 1.0 - smoothstep(uLensRadius * (1.0 - uFeather), uLensRadius, distance)
+                    : 1.0 - step(uLensRadius, distance);
                 
-                float edgeGlow = smoothstep(uLensRadius + 0.015, uLensRadius - 0.004, distance);
-                vec3 pinkGlow = vec3(0.9, 0.5, 0.8) * 0.35;
-                gl_FragColor.rgb += pinkGlow * edgeGlow * (1.0 - step(distance, uLensRadius));
+                gl_FragColor = vec4(mix(mainColor.rgb, lensColor, lensMask), 1.0);
+                
+                float edgeGlow = smoothstep(uLensRadius + uGlowWidth, uLensRadius - uGlowInset, distance);
+                vec3 lensGlow = uGlowColor * uGlowIntensity;
+                gl_FragColor.rgb += lensGlow * edgeGlow * (1.0 - step(distance, uLensRadius));
             }
         `;
         
-        const material = new THREE.ShaderMaterial({
+        this.lensPass = this.postProcessing.addPass(new ShaderPass('lens', {
             uniforms,
-            vertexShader,
             fragmentShader
-        });
-        
-        this.compositeQuad = new THREE.Mesh(geometry, material);
+        }), 0);
         this.lensUniforms = uniforms;
+        this.syncLensUniforms();
+        
+        this.setLensOptions(Object.assign({ preset: 'pink' }, DEFAULT_LENS_GEOMETRY));
     }
     
     /**
-     * Load font and create text
+     * Update lens effect parameters; `preset` is applied before the other options
      */
-    loadFont() {
-        const fontLoader = new THREE.FontLoader();
+    setLensOptions(options = {}) {
+        if (!this.lensUniforms) return;
         
-        fontLoader.load(
-            'https://threejs.org/examples/fonts/gentilis_bold.typeface.json',
-            (font) => {
-                console.log('Font loaded successfully');
-                this.createTextGeometry(font);
-            },
-            (progress) => {
-                if (progress.total > 0) {
-                    console.log('Font loading progress:', Math.round(progress.loaded / progress.total * 100) + '%');
+        if (options.preset) {
+            const preset = LENS_PRESETS[options.preset];
+            if (!preset) {
+                console.warn(`Unknown lens preset "${options.preset}"`);
+            } else {
+                this.lensPreset = options.preset;
+                this.setLensOptions(preset);
+            }
+        }
+        
+        if (typeof options.radius === 'number') {
+            this.lensRadius = options.radius;
+            this.syncLensUniforms();
+        }
+        
+        Object.keys(options).forEach(name => {
+            const uniformName = LENS_UNIFORMS[name];
+            if (!uniformName) return;
+            
+            const uniform = this.lensUniforms[uniformName];
+            let value = options[name];
+            
+            if (LENS_ENUMS[name]) {
+                if (!(value in LENS_ENUMS[name])) {
+                    console.warn(`Unknown lens ${name} "${value}"`);
+                    return;
                 }
-            },
-            (error) => {
-                console.error('Font loading error:', error);
-                console.log('Creating fallback text geometry');
-                this.createFallbackText();
+                value = LENS_ENUMS[name][value];
             }
-        );
+            
+            if (uniform.value instanceof THREE.Color) {
+                if (Array.isArray(value)) {
+                    uniform.value.setRGB(value[0], value[1], value[2]);
+                } else {
+                    uniform.value.set(value);
+                }
+            } else {
+                uniform.value = value;
+            }
+        });
+        
+        this.invalidate();
     }
     
     /**
-     * Create optimized 3D text geometry
+     * Create a lens state object (position in normalized device coordinates)
      */
-    createTextGeometry(font) {
-        // Responsive text size based on device type
-        const getTextSize = () => {
-            switch (this.deviceType) {
-                case 'mobile': return 0.8;
-                case 'tablet': return 1.0; // Original tablet size
-                case 'desktop': return 1.2; // Larger for desktop
-                default: return 1.0;
-            }
+    createLens() {
+        return {
+            position: new THREE.Vector2(),
+            radius: null, // null = use the shared lens radius
+            active: false // Controlled by a touch
         };
-        
-        const textSize = getTextSize();
-        
-        const textGeometry = new THREE.TextGeometry('Evanolott', {
-            font: font,
-            size: textSize,
-            height: textSize * 0.15,
-            curveSegments: 12, // Reduced for better performance
-            bevelEnabled: true,
-            bevelThickness: textSize * 0.025,
-            bevelSize: textSize * 0.01,
-            bevelSegments: 8 // Reduced for better performance
-        });
-        
-        textGeometry.computeBoundingBox();
-        const centerX = -0.5 * (textGeometry.boundingBox.max.x - textGeometry.boundingBox.min.x);
-        const centerY = -0.5 * (textGeometry.boundingBox.max.y - textGeometry.boundingBox.min.y);
-        textGeometry.translate(centerX, centerY, 0);
-        
-        // Optimized materials
-        const metallicMaterial = new THREE.MeshStandardMaterial({
-            color: 0xf0f0f0,
-            metalness: 0.95,
-            roughness: 0.05
-        });
-        
-        // Create edge outline effect using EdgeGeometry
-        const edges = new THREE.EdgesGeometry(textGeometry);
-        const wireframeMaterial = new THREE.LineBasicMaterial({
-            color: 0xffffff,
-            linewidth: 2
-        });
-        
-        this.textMesh = new THREE.Mesh(textGeometry, metallicMaterial);
-        this.scene.add(this.textMesh);
-        
-        // Create edge outline using LineSegments
-        this.wireframeTextMesh = new THREE.LineSegments(edges, wireframeMaterial);
-        this.wireframeScene.add(this.wireframeTextMesh);
-        
-        console.log('Optimized 3D text created');
     }
     
     /**
-     * Create fallback geometry
+     * Take a lens for a new finger: the first lens if it is free, else a new one
      */
-    createFallbackText() {
-        // Responsive fallback geometry size based on device type
-        const getFallbackSize = () => {
-            switch (this.deviceType) {
-                case 'mobile': return { width: 3.5, height: 0.8, depth: 0.4 };
-                case 'tablet': return { width: 4.5, height: 1.0, depth: 0.5 };
-                case 'desktop': return { width: 6.0, height: 1.2, depth: 0.6 };
-                default: return { width: 4.5, height: 1.0, depth: 0.5 };
-            }
-        };
-        
-        const size = getFallbackSize();
-        const geometry = new THREE.BoxGeometry(size.width, size.height, size.depth);
-        const material = new THREE.MeshStandardMaterial({
-            color: 0xf0f0f0,
-            metalness: 0.9,
-            roughness: 0.1
-        });
-        
-        this.textMesh = new THREE.Mesh(geometry, material);
-        this.scene.add(this.textMesh);
+    claimLens() {
+        const primary = this.lenses[0];
+        if (!primary.active) {
+            primary.active = true;
+            return primary;
+        }
         
-        // Create edge outline effect for fallback geometry
-        const edges = new THREE.EdgesGeometry(geometry);
-        const wireframeMaterial = new THREE.LineBasicMaterial({
-            color: 0xffffff,
-            linewidth: 2
-        });
-        this.wireframeTextMesh = new THREE.LineSegments(edges, wireframeMaterial);
-        this.wireframeScene.add(this.wireframeTextMesh);
+        if (this.lenses.length >= this.maxLenses) {
+            return null;
+        }
         
-        console.log('Using fallback geometry');
+        const lens = this.createLens();
+        lens.active = true;
+        this.lenses.push(lens);
+        return lens;
     }
     
     /**
-     * Setup mobile virtual joystick controls
+     * Release a finger's lens; the first lens stays where it was left
      */
-    setupMobileControls() {
-        if (!this.isMobile) return;
-        
-        this.mobileControls.classList.add('visible');
-        
-        // Calculate joystick center
-        const rect = this.joystickContainer.getBoundingClientRect();
-        this.joystickCenter = {
-            x: rect.left + rect.width / 2,
-            y: rect.top + rect.height / 2
-        };
-        
-        // Joystick events
-        this.joystickContainer.addEventListener('touchstart', this.handleJoystickStart.bind(this), { passive: false });
-        this.joystickContainer.addEventListener('touchmove', this.handleJoystickMove.bind(this), { passive: false });
-        this.joystickContainer.addEventListener('touchend', this.handleJoystickEnd.bind(this), { passive: false });
-        
-        // Single "Click Me" button for auto-zoom
-        this.clickMeBtn.addEventListener('touchstart', this.handleAutoZoom.bind(this), { passive: true });
-        this.clickMeBtn.addEventListener('click', this.handleAutoZoom.bind(this), { passive: true });
+    releaseLens(lens) {
+        lens.active = false;
         
-        console.log('Mobile virtual joystick controls enabled');
+        if (lens !== this.lenses[0]) {
+            this.lenses.splice(this.lenses.indexOf(lens), 1);
+            this.syncLensUniforms();
+            this.invalidate();
+        }
     }
     
     /**
-     * Handle auto-zoom to reveal overlay
+     * Copy lens centres and radii into the composite shader
      */
-    handleAutoZoom() {
-        if (this.isAutoZooming) return;
-        
-        this.isAutoZooming = true;
-        this.clickMeBtn.style.opacity = '0.5';
-        this.clickMeBtn.style.transform = 'scale(0.95)';
-        
-        // Smooth zoom to threshold
-        const targetZoom = this.zoomThreshold + 0.1;
-        this.targetScale = targetZoom;
-        
-        // Reset button after animation
-        setTimeout(() => {
-            this.isAutoZooming = false;
-            this.clickMeBtn.style.opacity = '1';
-            this.clickMeBtn.style.transform = 'scale(1)';
-        }, 1000);
+    syncLensUniforms() {
+        if (!this.lensUniforms) return;
         
-        console.log('Auto-zoom initiated');
+        this.lenses.forEach((lens, index) => {
+            this.lensUniforms.uLensCenters.value[index].copy(lens.position);
+            this.lensUniforms.uLensRadii.value[index] = lens.radius || this.lensRadius;
+        });
+        this.lensUniforms.uLensCount.value = this.lenses.length;
     }
     
     /**
-     * Handle joystick touch start
+     * Whether the lens needs redrawing every frame
      */
-    handleJoystickStart(event) {
-        event.preventDefault();
-        this.joystickActive = true;
-        this.joystickHandle.classList.add('active');
-        
-        const touch = event.touches[0];
-        this.updateJoystickPosition(touch.clientX, touch.clientY);
+    isLensAnimated() {
+        return !!this.lensUniforms && !this.reducedMotion && this.lensUniforms.uLensMode.value === LENS_MODES.refract;
     }
     
     /**
-     * Handle joystick touch move
+     * Apply a named lens preset
      */
-    handleJoystickMove(event) {
-        if (!this.joystickActive) return;
-        event.preventDefault();
-        
-        const touch = event.touches[0];
-        this.updateJoystickPosition(touch.clientX, touch.clientY);
+    setLensPreset(name) {
+        this.setLensOptions({ preset: name });
     }
     
     /**
-     * Handle joystick touch end
+     * Current lens parameters (colours as [r, g, b])
      */
-    handleJoystickEnd(event) {
-        event.preventDefault();
-        this.joystickActive = false;
-        this.joystickHandle.classList.remove('active');
-        
-        // Reset joystick to center
-        this.joystickHandle.style.transform = 'translate(-50%, -50%)';
+    getLensOptions() {
+        const options = { preset: this.lensPreset, radius: this.lensRadius };
+        
+        Object.keys(LENS_UNIFORMS).forEach(name => {
+            const value = this.lensUniforms[LENS_UNIFORMS[name]].value;
+            
+            if (LENS_ENUMS[name]) {
+                options[name] = Object.keys(LENS_ENUMS[name]).find(key => LENS_ENUMS[name][key] === value);
+            } else {
+                options[name] = value instanceof THREE.Color ? value.toArray() : value;
+            }
+        });
+        
+        return options;
+    }
+    
+    /**
+     * Add a post-processing pass (appended after the lens unless an index is given)
+     */
+    addPass(pass, index) {
+        this.postProcessing.addPass(pass, index);
+        this.invalidate();
+        return pass;
+    }
+    
+    /**
+     * Remove a post-processing pass by name or instance
+     */
+    removePass(passOrName) {
+        const pass = this.postProcessing.removePass(passOrName);
+        this.invalidate();
+        return pass;
+    }
+    
+    /**
+     * Enable or disable a post-processing pass
+     */
+    setPassEnabled(name, enabled) {
+        this.postProcessing.setEnabled(name, enabled);
+        this.invalidate();
+    }
+    
+    /**
+     * Load font (fontUrl, the bundled file by default; then the remote fallbackFontUrl) and create text
+     */
+    loadFont() {
+        const requestId = ++this.fontRequestId;
+        const { fontUrl, fallbackFontUrl } = this.heroConfig;
+        
+        this.fetchFont(fontUrl)
+            .catch((error) => {
+                console.error('Font loading error:', error);
+                if (!fallbackFontUrl || fallbackFontUrl === fontUrl) {
+                    throw error;
+                }
+                console.log(`Font ${fontUrl} failed, loading fallback font ${fallbackFontUrl}`);
+                return this.fetchFont(fallbackFontUrl);
+            })
+            .then((font) => {
+                // A newer request (runtime config change) wins
+                if (requestId !== this.fontRequestId) return;
+                
+                console.log('Font loaded successfully');
+                this.font = font;
+                this.createTextGeometry(font);
+            }, (error) => {
+                if (requestId !== this.fontRequestId) return;
+                
+                console.error('Fallback font loading error:', error);
+                console.log('Creating fallback text geometry');
+                this.font = null;
+                this.createFallbackText();
+            });
+    }
+    
+    /**
+     * Load a typeface JSON font (Cache Storage first, then network)
+     */
+    fetchFont(url) {
+        return this.fontLoader.load(url);
+    }
+    
+    /**
+     * Update hero text/font/geometry settings at runtime and rebuild the wordmark
+     */
+    setHeroConfig(config) {
+        const previous = this.heroConfig;
+        this.heroConfig = this.mergeHeroConfig(previous, config);
+        
+        const fontChanged = this.heroConfig.fontUrl !== previous.fontUrl ||
+            this.heroConfig.fallbackFontUrl !== previous.fallbackFontUrl ||
+            this.heroConfig.systemFontFamily !== previous.systemFontFamily;
+        
+        if (fontChanged || !this.font) {
+            this.loadFont();
+        } else {
+            this.createTextGeometry(this.font);
+        }
+    }
+    
+    /**
+     * Change the wordmark string
+     */
+    setHeroText(text) {
+        this.setHeroConfig({ text });
+    }
+    
+    /**
+     * Create optimized 3D text geometry
+     */
+    createTextGeometry(font) {
+        const options = this.heroConfig;
+        
+        // Responsive text size based on device type
+        const textSize = this.resolveForDevice(options.size);
+        
+        const textGeometry = new THREE.TextGeometry(options.text, {
+            font: font,
+            size: textSize,
+            height: textSize * options.depthRatio,
+            curveSegments: this.scaleSegments(options.curveSegments),
+            bevelEnabled: options.bevelEnabled,
+            bevelThickness: textSize * options.bevelThicknessRatio,
+            bevelSize: textSize * options.bevelSizeRatio,
+            bevelSegments: this.scaleSegments(options.bevelSegments)
+        });
+        
+        textGeometry.computeBoundingBox();
+        const centerX = -0.5 * (textGeometry.boundingBox.max.x - textGeometry.boundingBox.min.x);
+        const centerY = -0.5 * (textGeometry.boundingBox.max.y - textGeometry.boundingBox.min.y);
+        textGeometry.translate(centerX, centerY, 0);
+        
+        this.addTextMeshes(textGeometry);
+        
+        console.log(`${this.profile.label} 3D text created`);
+    }
+    
+    /**
+     * Create fallback geometry: system-font text traced from a canvas, a box as last resort
+     */
+    createFallbackText() {
+        const geometry = this.createTracedTextGeometry();
+        if (geometry) {
+            this.addTextMeshes(geometry);
+            console.log('Using traced system-font text');
+            return;
+        }
+        
+        // Responsive fallback geometry size based on device type
+        const size = this.resolveForDevice(this.profile.fallbackSize);
+        this.addTextMeshes(new THREE.BoxGeometry(size.width, size.height, size.depth));
+        
+        console.log('Using fallback geometry');
+    }
+    
+    /**
+     * Extrude the wordmark from system-font outlines (null if tracing fails)
+     */
+    createTracedTextGeometry() {
+        const options = this.heroConfig;
+        const textSize = this.resolveForDevice(options.size);
+        
+        let shapes;
+        try {
+            const tracer = new CanvasTextTracer({ fontFamily: options.systemFontFamily });
+            shapes = tracer.createShapes(options.text, textSize);
+        } catch (error) {
+            console.error('Text tracing failed:', error);
+            return null;
+        }
+        
+        if (shapes.length === 0) {
+            return null;
+        }
+        
+        const geometry = new THREE.ExtrudeGeometry(shapes, {
+            depth: textSize * options.depthRatio,
+            curveSegments: this.scaleSegments(options.curveSegments),
+            bevelEnabled: options.bevelEnabled,
+            bevelThickness: textSize * options.bevelThicknessRatio,
+            bevelSize: textSize * options.bevelSizeRatio,
+            bevelSegments: this.scaleSegments(options.bevelSegments)
+        });
+        
+        geometry.computeBoundingBox();
+        const center = new THREE.Vector3();
+        geometry.boundingBox.getCenter(center);
+        geometry.translate(-center.x, -center.y, 0);
+        
+        return geometry;
+    }
+    
+    /**
+     * Create metallic and edge-outline meshes for a text geometry
+     */
+    addTextMeshes(geometry) {
+        this.removeTextMeshes();
+        
+        const metallicMaterial = new THREE.MeshStandardMaterial({
+            color: 0xf0f0f0,
+            metalness: this.heroConfig.metalness,
+            roughness: this.heroConfig.roughness
+        });
+        
+        // Create edge outline effect using EdgeGeometry
+        const edges = new THREE.EdgesGeometry(geometry);
+        const wireframeMaterial = new THREE.LineBasicMaterial({
+            color: 0xffffff,
+            linewidth: 2
+        });
+        
+        this.textMesh = new THREE.Mesh(geometry, metallicMaterial);
+        this.textMesh.scale.setScalar(this.baseScale);
+        this.scene.add(this.textMesh);
+        
+        // Create edge outline using LineSegments
+        this.wireframeTextMesh = new THREE.LineSegments(edges, wireframeMaterial);
+        this.wireframeTextMesh.scale.setScalar(this.baseScale);
+        this.wireframeScene.add(this.wireframeTextMesh);
+        
+        // Force the next frame to apply rotation/scale and redraw
+        this.invalidate();
+    }
+    
+    /**
+     * Remove and free the current wordmark meshes
+     */
+    removeTextMeshes() {
+        if (this.textMesh) {
+            this.scene.remove(this.textMesh);
+            this.textMesh.geometry.dispose();
+            this.textMesh.material.dispose();
+            this.textMesh = null;
+        }
+        
+        if (this.wireframeTextMesh) {
+            this.wireframeScene.remove(this.wireframeTextMesh);
+            this.wireframeTextMesh.geometry.dispose();
+            this.wireframeTextMesh.material.dispose();
+            this.wireframeTextMesh = null;
+        }
+    }
+    
+    /**
+     * Setup mobile virtual joystick controls
+     */
+    setupMobileControls() {
+        if (!this.isMobile) return;
+        
+        this.mobileControls.classList.add('visible');
+        
+        // Calculate joystick center
+        const rect = this.joystickContainer.getBoundingClientRect();
+        this.joystickCenter = {
+            x: rect.left + rect.width / 2,
+            y: rect.top + rect.height / 2
+        };
+        
+        // Joystick events - prevent event bubbling to avoid conflicts
+        this.lifecycle.listen(this.joystickContainer, 'touchstart', (e) => {
+            e.stopPropagation();
+            this.handleJoystickStart(e);
+        }, { passive: false });
+        
+        this.lifecycle.listen(this.joystickContainer, 'touchmove', (e) => {
+            e.stopPropagation();
+            this.handleJoystickMove(e);
+        }, { passive: false });
+        
+        this.lifecycle.listen(this.joystickContainer, 'touchend', (e) => {
+            e.stopPropagation();
+            this.handleJoystickEnd(e);
+        }, { passive: false });
+        
+        // Single "Click Me" button for auto-zoom - prevent event bubbling
+        this.lifecycle.listen(this.clickMeBtn, 'touchstart', (e) => {
+            e.stopPropagation();
+            this.handleAutoZoom(e);
+        }, { passive: true });
+        
+        this.lifecycle.listen(this.clickMeBtn, 'click', (e) => {
+            e.stopPropagation();
+            this.handleAutoZoom(e);
+        }, { passive: true });
+        
+        console.log('Mobile virtual joystick controls enabled');
+    }
+    
+    /**
+     * Handle auto-zoom to reveal overlay
+     */
+    handleAutoZoom() {
+        if (this.isAutoZooming) return;
+        
+        this.noteUserInput();
+        this.isAutoZooming = true;
+        this.clickMeBtn.style.opacity = '0.5';
+        this.clickMeBtn.style.transform = 'scale(0.95)';
+        
+        // Smooth zoom to threshold
+        const targetZoom = this.zoomThreshold + 0.1;
+        this.targetScale = targetZoom;
+        
+        // Reset button after animation
+        this.lifecycle.later(() => {
+            this.isAutoZooming = false;
+            this.clickMeBtn.style.opacity = '1';
+            this.clickMeBtn.style.transform = 'scale(1)';
+        }, 1000);
+        
+        console.log('Auto-zoom initiated');
+    }
+    
+    /**
+     * Handle joystick touch start
+     */
+    handleJoystickStart(event) {
+        event.preventDefault();
+        this.joystickActive = true;
+        this.joystickHandle.classList.add('active');
+        
+        const touch = event.touches[0];
+        this.noteUserInput();
+        
+        // Track this touch as controlling the joystick
+        this.activeJoystickTouches.add(touch.identifier);
+        
+        this.updateJoystickPosition(touch.clientX, touch.clientY);
+    }
+    
+    /**
+     * Handle joystick touch move
+     */
+    handleJoystickMove(event) {
+        if (!this.joystickActive) return;
+        event.preventDefault();
+        
+        const touch = event.touches[0];
+        this.noteUserInput();
+        this.updateJoystickPosition(touch.clientX, touch.clientY);
+    }
+    
+    /**
+     * Handle joystick touch end
+     */
+    handleJoystickEnd(event) {
+        event.preventDefault();
+        this.joystickActive = false;
+        this.joystickHandle.classList.remove('active');
+        
+        // Remove all joystick touches from tracking
+        this.activeJoystickTouches.clear();
+        
+        // Reset joystick to center
+        this.joystickHandle.style.transform = 'translate(-50%, -50%)';
         
         // Reset rotation targets
         this.targetRotation.x = 0;
         this.targetRotation.y = 0;
+        this.noteUserInput();
+    }
+    
+    /**
+     * Update joystick position and calculate rotation
+     */
+    updateJoystickPosition(clientX, clientY) {
+        const rect = this.joystickContainer.getBoundingClientRect();
+        const centerX = rect.left + rect.width / 2;
+        const centerY = rect.top + rect.height / 2;
+        
+        let deltaX = clientX - centerX;
+        let deltaY = clientY - centerY;
+        
+        // Limit to joystick radius
+        const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+        if (distance > this.joystickRadius) {
+            deltaX = (deltaX / distance) * this.joystickRadius;
+            deltaY = (deltaY / distance) * this.joystickRadius;
+        }
+        
+        // Update handle position
+        this.joystickHandle.style.transform = `translate(-50%, -50%) translate(${deltaX}px, ${deltaY}px)`;
+        
+        // Convert to rotation values
+        const normalizedX = deltaX / this.joystickRadius;
+        const normalizedY = deltaY / this.joystickRadius;
+        
+        this.targetRotation.y = normalizedX * this.maxRotationY;
+        this.targetRotation.x = -normalizedY * this.maxRotationX * this.profile.joystickPitchFactor; // Inverted Y
+    }
+    
+    /**
+     * Setup role animation system
+     */
+    setupRoleAnimation() {
+        this.roleTypewriter = new RoleTypewriter(document.querySelector('.dynamic-role'), {
+            roles: this.roles,
+            typingSpeed: this.typingSpeed,
+            displayTime: this.roleDisplayTime,
+            shouldContinue: () => this.overlayVisible
+        });
+    }
+    
+    /**
+     * Start role cycling (every role at once under reduced motion)
+     */
+    startRoleTyping() {
+        if (this.reducedMotion) {
+            this.roleTypewriter.showStatic();
+        } else {
+            this.roleTypewriter.start();
+        }
+    }
+    
+    /**
+     * Cancel the typewriter loop
+     */
+    stopRoleTyping() {
+        if (this.roleTypewriter) {
+            this.roleTypewriter.stop();
+        }
+    }
+    
+    /**
+     * Follow motion policy changes
+     */
+    setupMotionPolicy() {
+        if (!this.motionPolicy) return;
+        
+        this.unsubscribeMotionPolicy = this.motionPolicy.subscribe((reduced) => {
+            this.reducedMotion = reduced;
+            
+            if (reduced && this.attractActive) {
+                this.stopAttractMode();
+            }
+            
+            if (this.overlayVisible) {
+                this.stopRoleTyping();
+                this.startRoleTyping();
+            }
+            
+            this.invalidate();
+        });
+    }
+    
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.lifecycle.listen(window, 'resize', this.onWindowResize.bind(this));
+        
+        if (!this.isMobile) {
+            this.lifecycle.listen(window, 'mousemove', this.onMouseMove.bind(this));
+            this.lifecycle.listen(window, 'wheel', this.onWheel.bind(this), { passive: false });
+            return;
+        }
+        
+        // Touch events for mobile zoom (pinch) - enhanced to not conflict with other touches
+        let initialPinchDistance = null;
+        
+        // Combined touch event handler to avoid conflicts
+        this.lifecycle.listen(window, 'touchstart', (event) => {
+            // Handle pink light control
+            this.onTouchStart(event);
+            
+            // Handle pinch zoom if exactly 2 touches
+            if (event.touches.length === 2) {
+                const touch1 = event.touches[0];
+                const touch2 = event.touches[1];
+                
+                // Calculate initial distance
+                initialPinchDistance = Math.hypot(
+                    touch2.clientX - touch1.clientX,
+                    touch2.clientY - touch1.clientY
+                );
+            } else {
+                // Reset pinch distance if not exactly 2 touches
+                initialPinchDistance = null;
+            }
+        }, { passive: true });
+        
+        this.lifecycle.listen(window, 'touchmove', (event) => {
+            // Handle pink light control
+            this.onTouchMove(event);
+            
+            // Handle pinch zoom if exactly 2 touches and we have initial distance
+            if (event.touches.length === 2 && initialPinchDistance) {
+                const touch1 = event.touches[0];
+                const touch2 = event.touches[1];
+                
+                const currentDistance = Math.hypot(
+                    touch2.clientX - touch1.clientX,
+                    touch2.clientY - touch1.clientY
+                );
+                
+                const scale = currentDistance / initialPinchDistance;
+                this.targetScale = Math.max(this.minScale, Math.min(this.maxScale, this.targetScale * scale));
+                initialPinchDistance = currentDistance;
+            }
+        }, { passive: true });
+        
+        const onTouchRelease = (event) => {
+            // Handle pink light control cleanup
+            this.onTouchEnd(event);
+            
+            // Reset pinch distance when touches end
+            if (event.touches.length < 2) {
+                initialPinchDistance = null;
+            }
+        };
+        
+        this.lifecycle.listen(window, 'touchend', onTouchRelease, { passive: true });
+        this.lifecycle.listen(window, 'touchcancel', onTouchRelease, { passive: true });
+    }
+    
+    /**
+     * Setup keyboard (on the focused canvas) and gamepad input
+     */
+    setupDirectControls() {
+        const canvas = this.renderer.domElement;
+        
+        this.lifecycle.listen(canvas, 'keydown', (event) => {
+            const action = KEY_BINDINGS[event.code] || KEY_BINDINGS[event.key];
+            if (!action || event.ctrlKey || event.metaKey || event.altKey) return;
+            
+            event.preventDefault();
+            this.noteUserInput();
+            
+            if (action === 'reveal') {
+                if (!event.repeat) this.handleAutoZoom();
+                return;
+            }
+            
+            // Keyed by physical key: Shift+= types '+' but may be released as '='
+            this.heldKeys.set(event.code || event.key, action);
+        });
+        
+        this.lifecycle.listen(canvas, 'keyup', (event) => {
+            this.heldKeys.delete(event.code || event.key);
+        });
+        
+        // Keys released while unfocused never fire keyup here
+        this.lifecycle.listen(canvas, 'blur', () => {
+            this.heldKeys.clear();
+        });
+        
+        this.lifecycle.listen(window, 'gamepadconnected', (event) => {
+            this.gamepadCount++;
+            this.invalidate(); // Pads are polled: one frame reads it, then idle polling takes over
+            console.log(`Gamepad connected: ${event.gamepad.id}`);
+        });
+        
+        this.lifecycle.listen(window, 'gamepaddisconnected', () => {
+            this.gamepadCount = Math.max(0, this.gamepadCount - 1);
+        });
+    }
+    
+    /**
+     * Combined keyboard + gamepad axes: x/y rotation and zoom, each in [-1, 1]
+     */
+    readDirectInput() {
+        const input = { x: 0, y: 0, zoom: 0 };
+        const held = new Set(this.heldKeys.values());
+        
+        if (held.has('left')) input.x -= 1;
+        if (held.has('right')) input.x += 1;
+        if (held.has('up')) input.y += 1;
+        if (held.has('down')) input.y -= 1;
+        if (held.has('zoomIn')) input.zoom += 1;
+        if (held.has('zoomOut')) input.zoom -= 1;
+        
+        const pad = this.gamepadCount > 0 ? this.getActiveGamepad() : null;
+        this.gamepadActive = this.isGamepadActive(pad);
+        if (pad) {
+            const deadzone = (value, size) => (Math.abs(value) > size ? value : 0);
+            const trigger = index => (pad.buttons[index] ? deadzone(pad.buttons[index].value, DIRECT_INPUT.triggerDeadzone) : 0);
+            
+            // Left stick rotates (up is negative), right stick and triggers zoom
+            input.x += deadzone(pad.axes[0] || 0, DIRECT_INPUT.stickDeadzone);
+            input.y -= deadzone(pad.axes[1] || 0, DIRECT_INPUT.stickDeadzone);
+            input.zoom -= deadzone(pad.axes[3] || 0, DIRECT_INPUT.stickDeadzone);
+            input.zoom += trigger(DIRECT_INPUT.zoomInButton) - trigger(DIRECT_INPUT.zoomOutButton);
+            
+            // Reveal on press, not while held
+            const revealPressed = DIRECT_INPUT.revealButtons.some(index => pad.buttons[index] && pad.buttons[index].pressed);
+            if (revealPressed && !this.gamepadRevealPressed) {
+                this.handleAutoZoom();
+            }
+            this.gamepadRevealPressed = revealPressed;
+        }
+        
+        const clamp = value => Math.max(-1, Math.min(1, value));
+        return { x: clamp(input.x), y: clamp(input.y), zoom: clamp(input.zoom) };
+    }
+    
+    /**
+     * First connected gamepad, if any
+     */
+    getActiveGamepad() {
+        if (!navigator.getGamepads) return null;
+        
+        const pads = navigator.getGamepads();
+        for (let i = 0; i < pads.length; i++) {
+            if (pads[i] && pads[i].connected) return pads[i];
+        }
+        return null;
+    }
+    
+    /**
+     * Whether a pad is being used: a stick past its deadzone or a button / trigger held
+     */
+    isGamepadActive(pad) {
+        if (!pad) return false;
+        
+        return pad.axes.some(value => Math.abs(value) > DIRECT_INPUT.stickDeadzone) ||
+            pad.buttons.some(button => button.pressed || button.value > DIRECT_INPUT.triggerDeadzone);
+    }
+    
+    /**
+     * While the loop sleeps, check connected gamepads a few times a second and wake on input
+     */
+    pollIdleGamepads() {
+        if (this.gamepadPollTimer !== null || this.gamepadCount === 0) return;
+        
+        this.gamepadPollTimer = this.lifecycle.later(() => {
+            this.gamepadPollTimer = null;
+            if (this.gamepadCount === 0) return;
+            
+            if (this.isGamepadActive(this.getActiveGamepad())) {
+                this.invalidate();
+            } else {
+                this.pollIdleGamepads();
+            }
+        }, DIRECT_INPUT.idlePollInterval);
+    }
+    
+    /**
+     * Apply keyboard/gamepad input the same way the joystick and wheel do
+     */
+    updateDirectInput(now) {
+        const deltaSeconds = Math.min(0.1, (now - this.lastDirectInputTime) * 0.001);
+        this.lastDirectInputTime = now;
+        
+        const input = this.readDirectInput();
+        const rotating = input.x !== 0 || input.y !== 0;
+        
+        if (rotating) {
+            this.noteUserInput();
+            this.targetRotation.y = input.x * this.maxRotationY;
+            this.targetRotation.x = input.y * this.maxRotationX * this.profile.joystickPitchFactor;
+        } else if (this.directRotationActive) {
+            // Spring back to centre like the joystick
+            this.targetRotation.x = 0;
+            this.targetRotation.y = 0;
+        }
+        this.directRotationActive = rotating;
+        
+        if (input.zoom !== 0) {
+            this.noteUserInput();
+            this.targetScale += input.zoom * DIRECT_INPUT.zoomRate * deltaSeconds;
+            this.targetScale = Math.max(this.minScale, Math.min(this.maxScale, this.targetScale));
+        }
+    }
+    
+    /**
+     * Check if touch is within any control area (joystick OR Click Me button)
+     */
+    isTouchInControlsArea(clientX, clientY) {
+        // Check joystick area
+        if (this.joystickContainer) {
+            const joystickRect = this.joystickContainer.getBoundingClientRect();
+            const inJoystick = clientX >= joystickRect.left &&
+                              clientX <= joystickRect.right &&
+                              clientY >= joystickRect.top &&
+                              clientY <= joystickRect.bottom;
+            if (inJoystick) return true;
+        }
+        
+        // Check Click Me button area
+        if (this.clickMeBtn) {
+            const buttonRect = this.clickMeBtn.getBoundingClientRect();
+            const inButton = clientX >= buttonRect.left &&
+                            clientX <= buttonRect.right &&
+                            clientY >= buttonRect.top &&
+                            clientY <= buttonRect.bottom;
+            if (inButton) return true;
+        }
+        
+        return false;
     }
     
     /**
-     * Update joystick position and calculate rotation
+     * Check if touch is specifically within joystick area only
      */
-    updateJoystickPosition(clientX, clientY) {
+    isTouchInJoystickArea(clientX, clientY) {
+        if (!this.joystickContainer) return false;
+        
         const rect = this.joystickContainer.getBoundingClientRect();
-        const centerX = rect.left + rect.width / 2;
-        const centerY = rect.top + rect.height / 2;
+        return clientX >= rect.left &&
+               clientX <= rect.right &&
+               clientY >= rect.top &&
+               clientY <= rect.bottom;
+    }
+    
+    /**
+     * Handle touch start for pink light control
+     */
+    onTouchStart(event) {
+        this.noteUserInput();
         
-        let deltaX = clientX - centerX;
-        let deltaY = clientY - centerY;
+        // For pink light control, we need to:
+        // 1. Ignore touches on ANY control area (joystick + Click Me button)
+        // 2. Support multi-touch where joystick can be active while other fingers control lenses
+        // 3. Ignore touches that are already controlling the joystick
         
-        // Limit to joystick radius
-        const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
-        if (distance > this.joystickRadius) {
-            deltaX = (deltaX / distance) * this.joystickRadius;
-            deltaY = (deltaY / distance) * this.joystickRadius;
+        // Give each new valid touch its own lens
+        for (let i = 0; i < event.touches.length; i++) {
+            this.claimTouchLens(event.touches[i]);
         }
+    }
+    
+    /**
+     * Handle touch move for pink light control
+     */
+    onTouchMove(event) {
+        this.noteUserInput();
         
-        // Update handle position
-        this.joystickHandle.style.transform = `translate(-50%, -50%) translate(${deltaX}px, ${deltaY}px)`;
+        for (let i = 0; i < event.touches.length; i++) {
+            const touch = event.touches[i];
+            const lens = this.activePinkLightTouches.get(touch.identifier);
+            
+            // Follow touches that already control a lens, pick up new valid ones
+            if (lens) {
+                this.updatePinkLightPosition(touch.clientX, touch.clientY, lens);
+            } else {
+                this.claimTouchLens(touch);
+            }
+        }
+    }
+    
+    /**
+     * Handle touch end/cancel for pink light control
+     */
+    onTouchEnd(event) {
+        // Clean up tracking for ended touches
+        for (let i = 0; i < event.changedTouches.length; i++) {
+            const touch = event.changedTouches[i];
+            const lens = this.activePinkLightTouches.get(touch.identifier);
+            
+            if (lens) {
+                this.activePinkLightTouches.delete(touch.identifier);
+                this.releaseLens(lens);
+            }
+        }
+    }
+    
+    /**
+     * Assign a lens to a touch if it qualifies and a lens is free
+     */
+    claimTouchLens(touch) {
+        // Skip if this touch is already controlling the joystick or a lens
+        if (this.activeJoystickTouches.has(touch.identifier) ||
+            this.activePinkLightTouches.has(touch.identifier)) {
+            return;
+        }
         
-        // Convert to rotation values
-        const normalizedX = deltaX / this.joystickRadius;
-        const normalizedY = deltaY / this.joystickRadius;
+        // Skip if this touch is in any control area
+        if (this.isTouchInControlsArea(touch.clientX, touch.clientY)) {
+            return;
+        }
         
-        this.targetRotation.y = normalizedX * this.maxRotationY;
-        this.targetRotation.x = -normalizedY * this.maxRotationX * 0.6; // Inverted Y
+        const lens = this.claimLens();
+        if (!lens) return; // All lenses in use
+        
+        this.activePinkLightTouches.set(touch.identifier, lens);
+        this.updatePinkLightPosition(touch.clientX, touch.clientY, lens);
     }
     
     /**
-     * Setup role animation system
+     * Update a lens position (the first lens by default) from client coordinates
      */
-    setupRoleAnimation() {
-        this.roleElement = document.querySelector('.dynamic-role');
+    updatePinkLightPosition(clientX, clientY, lens = this.lenses[0]) {
+        const x = (clientX / window.innerWidth) * 2 - 1;
+        const y = -(clientY / window.innerHeight) * 2 + 1;
+        
+        // Check if the lens position has actually changed
+        if (Math.abs(x - lens.position.x) > 0.001 || Math.abs(y - lens.position.y) > 0.001) {
+            this.mouseHasMoved = true;
+        }
+        
+        lens.position.set(x, y);
+        
+        // The first lens doubles as the pointer for rotation
+        if (lens === this.lenses[0]) {
+            this.mouse.copy(lens.position);
+            this.lastMouseX = x;
+            this.lastMouseY = y;
+        }
+        
+        this.syncLensUniforms();
     }
     
     /**
-     * Optimized role typing animation
+     * Record real input; ends attract mode immediately
      */
-    async startRoleTyping() {
-        if (this.isTyping) return;
-        
-        this.isTyping = true;
-        const currentRole = this.roles[this.currentRoleIndex];
-        const targetText = currentRole.text;
+    noteUserInput() {
+        this.lastInputTime = performance.now();
         
-        const roleTextElement = this.roleElement.querySelector('.role-text');
-        roleTextElement.className = `role-text ${currentRole.class} typing active`;
-        roleTextElement.textContent = '';
+        // Wake the loop; animate() works out whether anything changed
+        if (this.frameHandle) {
+            this.frameHandle.invalidate();
+        }
         
-        // Optimized typing with setTimeout
-        let charIndex = 0;
-        const typeChar = () => {
-            if (charIndex <= targetText.length) {
-                roleTextElement.textContent = targetText.substring(0, charIndex);
-                charIndex++;
-                setTimeout(typeChar, this.typingSpeed);
-            } else {
-                roleTextElement.classList.remove('typing');
-                
-                setTimeout(() => {
-                    this.currentRoleIndex = (this.currentRoleIndex + 1) % this.roles.length;
-                    this.isTyping = false;
-                    
-                    if (this.overlayVisible) {
-                        this.startRoleTyping();
-                    }
-                }, this.roleDisplayTime);
-            }
-        };
+        if (this.attractActive) {
+            this.stopAttractMode();
+        }
+    }
+    
+    /**
+     * Update attract mode options at runtime
+     */
+    setAttractOptions(options = {}) {
+        Object.assign(this.attractConfig, options);
         
-        typeChar();
+        if (this.attractActive && !this.attractConfig.enabled) {
+            this.stopAttractMode();
+        }
     }
     
     /**
-     * Setup event listeners
+     * Begin sweeping the lens from wherever it currently is
      */
-    setupEventListeners() {
-        window.addEventListener('resize', this.onWindowResize.bind(this));
+    startAttractMode(now) {
+        this.attractActive = true;
+        this.attractStartTime = now;
+        this.attractOrigin.copy(this.lenses[0].position);
+        this.attractBounds = this.measureWordmarkBounds();
         
-        if (!this.isMobile) {
-            window.addEventListener('mousemove', this.onMouseMove.bind(this));
-            window.addEventListener('wheel', this.onWheel.bind(this), { passive: false });
-        }
-        
-        // Touch events for mobile zoom (pinch)
-        if (this.isMobile) {
-            let initialPinchDistance = null;
-            
-            window.addEventListener('touchstart', (event) => {
-                if (event.touches.length === 2) {
-                    const touch1 = event.touches[0];
-                    const touch2 = event.touches[1];
-                    initialPinchDistance = Math.hypot(
-                        touch2.clientX - touch1.clientX,
-                        touch2.clientY - touch1.clientY
-                    );
-                }
-            }, { passive: true });
-            
-            window.addEventListener('touchmove', (event) => {
-                if (event.touches.length === 2 && initialPinchDistance) {
-                    const touch1 = event.touches[0];
-                    const touch2 = event.touches[1];
-                    const currentDistance = Math.hypot(
-                        touch2.clientX - touch1.clientX,
-                        touch2.clientY - touch1.clientY
-                    );
-                    
-                    const scale = currentDistance / initialPinchDistance;
-                    this.targetScale = Math.max(this.minScale, Math.min(this.maxScale, this.targetScale * scale));
-                    initialPinchDistance = currentDistance;
-                }
-            }, { passive: true });
+        console.log('Attract mode started');
+    }
+    
+    /**
+     * Hand control back to the user; the lens stays where it was
+     */
+    stopAttractMode() {
+        this.attractActive = false;
+        this.targetRotation.x = 0;
+        this.targetRotation.y = 0;
+    }
+    
+    /**
+     * Wordmark bounds in normalized device coordinates
+     */
+    measureWordmarkBounds() {
+        const box = new THREE.Box3().setFromObject(this.textMesh);
+        const min = new THREE.Vector3(box.min.x, box.min.y, 0).project(this.camera);
+        const max = new THREE.Vector3(box.max.x, box.max.y, 0).project(this.camera);
+        
+        return {
+            center: new THREE.Vector2((min.x + max.x) / 2, (min.y + max.y) / 2),
+            halfSize: new THREE.Vector2(
+                Math.min(1, Math.abs(max.x - min.x) / 2),
+                Math.min(1, Math.abs(max.y - min.y) / 2)
+            )
+        };
+    }
+    
+    /**
+     * Start attract mode after the idle delay and advance the lens path and tilt
+     */
+    updateAttractMode(now) {
+        const attract = this.attractConfig;
+        if (!attract.enabled || this.reducedMotion || !this.textMesh) return;
+        
+        if (!this.attractActive) {
+            // Fingers resting on the screen or the joystick count as interaction
+            const isHeld = this.activePinkLightTouches.size > 0 || this.joystickActive;
+            if (isHeld || now - this.lastInputTime < attract.idleDelay) return;
+            
+            this.startAttractMode(now);
         }
+        
+        const elapsed = (now - this.attractStartTime) * 0.001;
+        const t = elapsed * attract.speed;
+        const { center, halfSize } = this.attractBounds;
+        
+        const pathX = center.x + Math.sin(attract.frequencyX * t + attract.phase) * halfSize.x * attract.amplitudeX;
+        const pathY = center.y + Math.sin(attract.frequencyY * t) * halfSize.y * attract.amplitudeY;
+        
+        // Smoothstep from the last user position onto the path
+        const blend = attract.easeIn > 0 ? Math.min(1, elapsed / attract.easeIn) : 1;
+        const ease = blend * blend * (3 - 2 * blend);
+        
+        this.lenses[0].position.set(
+            this.attractOrigin.x + (pathX - this.attractOrigin.x) * ease,
+            this.attractOrigin.y + (pathY - this.attractOrigin.y) * ease
+        );
+        this.syncLensUniforms();
+        this.mouseHasMoved = true;
+        
+        const tilt = elapsed * attract.tiltSpeed;
+        this.targetRotation.y = Math.sin(tilt) * attract.tiltY;
+        this.targetRotation.x = Math.sin(tilt * 0.7) * attract.tiltX;
     }
     
     /**
@@ -641,7 +1882,7 @@ class OptimizedPortfolio3DRenderer {
     startTutorial() {
         if (this.isMobile) return; // Skip tutorial on mobile
         
-        setTimeout(() => {
+        this.lifecycle.later(() => {
             if (!this.hasSeenIntro && this.timedHint) {
                 this.timedHint.classList.add('show');
             }
@@ -653,6 +1894,7 @@ class OptimizedPortfolio3DRenderer {
      */
     onWheel(event) {
         event.preventDefault();
+        this.noteUserInput();
         const zoomSpeed = 0.002;
         this.targetScale += -event.deltaY * zoomSpeed;
         this.targetScale = Math.max(this.minScale, Math.min(this.maxScale, this.targetScale));
@@ -662,15 +1904,11 @@ class OptimizedPortfolio3DRenderer {
      * Handle mouse movement for rotation and lens
      */
     onMouseMove(event) {
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-        
-        if (this.lensUniforms) {
-            this.lensUniforms.uMouse.value.copy(this.mouse);
-        }
+        this.noteUserInput();
+        this.updatePinkLightPosition(event.clientX, event.clientY);
         
         this.targetRotation.y = this.mouse.x * this.maxRotationY;
-        this.targetRotation.x = this.mouse.y * this.maxRotationX * 0.6;
+        this.targetRotation.x = this.mouse.y * this.maxRotationX * this.profile.mousePitchFactor;
     }
     
     /**
@@ -688,15 +1926,20 @@ class OptimizedPortfolio3DRenderer {
                 this.timedHint.classList.remove('show');
             }
             
-            setTimeout(() => {
+            // Reduced motion shows the static role list straight away
+            if (this.reducedMotion) {
                 this.startRoleTyping();
-            }, 800);
+            } else {
+                this.lifecycle.later(() => {
+                    this.startRoleTyping();
+                }, 800);
+            }
             
             console.log('Introduction revealed');
         } else if (!shouldShowOverlay && this.overlayVisible) {
             this.overlay.classList.remove('active');
             this.overlayVisible = false;
-            this.isTyping = false;
+            this.stopRoleTyping();
         }
     }
     
@@ -705,23 +1948,17 @@ class OptimizedPortfolio3DRenderer {
      */
     onWindowResize() {
         if (this.resizeTimeout) {
-            clearTimeout(this.resizeTimeout);
+            this.lifecycle.cancel(this.resizeTimeout);
         }
         
-        this.resizeTimeout = setTimeout(() => {
+        this.resizeTimeout = this.lifecycle.later(() => {
             const width = window.innerWidth;
             const height = window.innerHeight;
             
             this.camera.aspect = width / height;
             this.camera.updateProjectionMatrix();
             this.renderer.setSize(width, height);
-            
-            this.mainRenderTarget.setSize(width, height);
-            this.wireframeRenderTarget.setSize(width, height);
-            
-            if (this.lensUniforms) {
-                this.lensUniforms.uResolution.value.set(width, height);
-            }
+            this.resizeRenderTargets();
             
             // Update joystick center on mobile
             if (this.isMobile && this.joystickContainer) {
@@ -732,76 +1969,252 @@ class OptimizedPortfolio3DRenderer {
                 };
             }
             
-            // console.log('Resized to', width, 'x', height); // Commented out to reduce log spam
+            this.invalidate();
         }, 100); // Throttle resize events
     }
     
     /**
-     * Optimized performance monitoring
+     * Resize offscreen targets to the current quality tier
      */
-    updatePerformance() {
-        this.frameCount++;
-        const currentTime = performance.now();
+    resizeRenderTargets() {
+        const { width, height } = this.getRenderTargetSize();
         
-        if (currentTime - this.lastTime >= 1000) {
-            // FPS monitoring removed for cleaner UI
-            
-            this.frameCount = 0;
-            this.lastTime = currentTime;
-            this.renderer.info.reset();
+        this.mainRenderTarget.setSize(width, height);
+        this.wireframeRenderTarget.setSize(width, height);
+        this.postProcessing.setSize(width, height);
+    }
+    
+    /**
+     * Device pixel ratio, capped by the profile and the quality tier
+     */
+    getPixelRatio() {
+        return Math.min(
+            window.devicePixelRatio,
+            this.profile.renderer.maxPixelRatio,
+            this.qualityGovernor.tier.maxPixelRatio
+        );
+    }
+    
+    /**
+     * Offscreen render-target size for the quality tier: CSS pixels × renderTargetScale, no devicePixelRatio
+     */
+    getRenderTargetSize() {
+        const scale = this.qualityGovernor.tier.renderTargetScale;
+        return {
+            width: Math.max(1, Math.round(window.innerWidth * scale)),
+            height: Math.max(1, Math.round(window.innerHeight * scale))
+        };
+    }
+    
+    /**
+     * Text curve/bevel segments for the quality tier (at least one)
+     */
+    scaleSegments(count) {
+        return Math.max(1, Math.round(count * this.segmentScale));
+    }
+    
+    /**
+     * Apply a quality tier chosen by the governor
+     */
+    applyQualityTier(tier) {
+        this.renderer.setPixelRatio(this.getPixelRatio());
+        this.resizeRenderTargets();
+        
+        // Rebuild text only when its detail actually changes
+        if (tier.segmentScale !== this.segmentScale) {
+            this.segmentScale = tier.segmentScale;
+            this.rebuildText();
+        }
+        
+        this.invalidate();
+    }
+    
+    /**
+     * Recreate the wordmark meshes from the loaded font (or the fallback already in use)
+     */
+    rebuildText() {
+        if (this.font) {
+            this.createTextGeometry(this.font);
+        } else if (this.textMesh) {
+            this.createFallbackText();
+        }
+    }
+    
+    /**
+     * Current quality tier name ('low' / 'medium' / 'high')
+     */
+    getQualityTier() {
+        return this.qualityGovernor.tier.name;
+    }
+    
+    /**
+     * Lock a quality tier (or pass lock = false to let the governor adapt from it)
+     */
+    setQualityTier(name, lock = true) {
+        this.qualityGovernor.setTier(name, lock);
+    }
+    
+    /**
+     * Show the performance HUD when the URL has ?debug=perf
+     */
+    setupPerformanceHUD() {
+        if (typeof PerformanceHUD === 'undefined' || !PerformanceHUD.isRequested()) {
+            return;
+        }
+        
+        this.perfHud = new PerformanceHUD(this);
+    }
+    
+    /**
+     * Renderer, target and view state for the performance HUD
+     */
+    getDebugInfo() {
+        const info = this.renderer.info;
+        const drawingBuffer = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        const sizeOf = (name, target) => ({ name, width: target.width, height: target.height });
+        
+        const renderTargets = [
+            sizeOf('main', this.mainRenderTarget),
+            sizeOf('wire', this.wireframeRenderTarget)
+        ];
+        if (this.postProcessing.readTarget) {
+            renderTargets.push(sizeOf('pingpong', this.postProcessing.readTarget));
         }
+        
+        return {
+            quality: this.qualityGovernor.getStats(),
+            renderer: {
+                calls: info.render.calls,
+                triangles: info.render.triangles,
+                lines: info.render.lines,
+                points: info.render.points,
+                geometries: info.memory.geometries,
+                textures: info.memory.textures,
+                programs: info.programs ? info.programs.length : 0
+            },
+            canvas: { width: drawingBuffer.x, height: drawingBuffer.y },
+            pixelRatio: this.renderer.getPixelRatio(),
+            renderTargets,
+            view: {
+                profile: this.profile.name,
+                scale: this.currentScale,
+                targetScale: this.targetScale,
+                rotationX: THREE.MathUtils.radToDeg(this.currentRotation.x),
+                rotationY: THREE.MathUtils.radToDeg(this.currentRotation.y),
+                overlay: this.overlayVisible,
+                lenses: this.lenses.length,
+                attract: this.attractActive,
+                reducedMotion: this.reducedMotion,
+                contextLost: this.contextLost
+            }
+        };
+    }
+    
+    /**
+     * Register with the frame scheduler; animate() runs only while needed
+     */
+    startRenderLoop() {
+        this.frameHandle = this.scheduler.add({
+            element: this.renderer.domElement,
+            frame: now => this.animate(now)
+        });
     }
     
     /**
-     * Optimized animation loop with conditional rendering
+     * Force a redraw on the next frame, waking the scheduler if it sleeps
      */
-    animate() {
-        requestAnimationFrame(this.animate.bind(this));
+    invalidate() {
+        this.renderRequested = false;
         
-        const currentTime = performance.now();
+        if (this.frameHandle) {
+            this.frameHandle.invalidate();
+        }
+    }
+    
+    /**
+     * Wake up when attract mode is due to start
+     */
+    scheduleAttractWake(now) {
+        const attract = this.attractConfig;
+        const isHeld = this.activePinkLightTouches.size > 0 || this.joystickActive;
+        if (!attract.enabled || this.reducedMotion || this.attractActive || isHeld) return;
         
-        // Update time uniform
-        if (this.lensUniforms) {
-            this.lensUniforms.uTime.value = currentTime * 0.001;
+        this.frameHandle.wakeAfter(Math.max(0, this.lastInputTime + attract.idleDelay - now));
+    }
+    
+    /**
+     * One frame of conditional rendering; returns whether more frames are needed
+     */
+    animate(now = performance.now()) {
+        // Nothing can be drawn until the context is restored
+        if (this.contextLost) {
+            return false;
         }
         
-        // Smooth interpolation
-        this.currentScale += (this.targetScale - this.currentScale) * this.scaleDamping;
+        this.updateDirectInput(now);
+        this.updateAttractMode(now);
+        
+        // Smooth interpolation (jump straight to the target under reduced motion)
+        const scaleDamping = this.reducedMotion ? 1 : this.scaleDamping;
+        const rotationDamping = this.reducedMotion ? 1 : this.rotationDamping;
+        this.currentScale += (this.targetScale - this.currentScale) * scaleDamping;
         
         // Only update if there's significant change or movement
-        const hasMovement = 
+        const hasMovement =
             Math.abs(this.targetRotation.x - this.currentRotation.x) > 0.001 ||
             Math.abs(this.targetRotation.y - this.currentRotation.y) > 0.001 ||
             Math.abs(this.targetScale - this.currentScale) > 0.001;
         
-        if (this.textMesh && this.wireframeTextMesh && (hasMovement || !this.renderRequested)) {
-            this.currentRotation.x += (this.targetRotation.x - this.currentRotation.x) * this.rotationDamping;
-            this.currentRotation.y += (this.targetRotation.y - this.currentRotation.y) * this.rotationDamping;
+        // Check if the lens has moved or animates on its own (refraction ripple)
+        const hasMouseMovement = this.mouseHasMoved;
+        const lensAnimating = this.isLensAnimated();
+        
+        if (this.textMesh && this.wireframeTextMesh && (hasMovement || hasMouseMovement || lensAnimating || !this.renderRequested)) {
+            this.currentRotation.x += (this.targetRotation.x - this.currentRotation.x) * rotationDamping;
+            this.currentRotation.y += (this.targetRotation.y - this.currentRotation.y) * rotationDamping;
             
             this.textMesh.rotation.x = this.currentRotation.x;
             this.textMesh.rotation.y = this.currentRotation.y;
             this.textMesh.rotation.z = 0;
-            this.textMesh.scale.setScalar(this.currentScale);
+            this.textMesh.scale.setScalar(this.currentScale * this.baseScale);
             
             this.wireframeTextMesh.rotation.copy(this.textMesh.rotation);
             this.wireframeTextMesh.scale.copy(this.textMesh.scale);
             
             this.render();
             this.renderRequested = true;
+            
+            // Reset mouse movement flag after rendering
+            this.mouseHasMoved = false;
         }
         
         this.updateOverlay();
-        this.updatePerformance();
+        
+        // Sleep unless something is still easing, animating or held (idle gamepads are polled slowly)
+        const animating = !!this.textMesh && (
+            hasMovement || lensAnimating || this.attractActive ||
+            this.heldKeys.size > 0 || this.directRotationActive || this.gamepadActive
+        );
+        
+        if (!animating) {
+            this.scheduleAttractWake(now);
+            this.pollIdleGamepads();
+        }
+        
+        this.qualityGovernor.frame(now, animating);
+        return animating;
     }
     
     /**
-     * Optimized multi-pass rendering
+     * Optimized multi-pass rendering: scene targets, then the post-processing chain
      */
     render() {
         if (!this.textMesh || !this.wireframeTextMesh) {
             return;
         }
         
+        this.renderer.info.reset();
+        
         // Pass 1: Render main metallic scene
         this.renderer.setRenderTarget(this.mainRenderTarget);
         this.renderer.render(this.scene, this.camera);
@@ -810,71 +2223,184 @@ class OptimizedPortfolio3DRenderer {
         this.renderer.setRenderTarget(this.wireframeRenderTarget);
         this.renderer.render(this.wireframeScene, this.camera);
         
-        // Pass 3: Composite with lens effect
-        this.renderer.setRenderTarget(null);
+        // Pass 3+: Lens composite and any added effects, last one to the screen
+        this.postProcessing.render(this.renderer, {
+            mainTexture: this.mainRenderTarget.texture,
+            wireframeTexture: this.wireframeRenderTarget.texture,
+            time: performance.now() * 0.001
+        });
+    }
+    
+    /**
+     * Pause on WebGL context loss and rebuild GPU resources on restore
+     */
+    setupContextLossHandling() {
+        if (typeof ContextLossGuard === 'undefined') return;
+        
+        this.contextGuard = new ContextLossGuard(this.renderer.domElement, {
+            name: 'hero',
+            onLost: () => this.onContextLost(),
+            onRestored: () => this.onContextRestored()
+        });
+    }
+    
+    /**
+     * Context lost: stop drawing and drop input that was in flight
+     */
+    onContextLost() {
+        this.contextLost = true;
+        this.qualityGovernor.pause();
+        
+        if (this.attractActive) {
+            this.stopAttractMode();
+        }
+    }
+    
+    /**
+     * Context restored: every GL handle is gone, so rebuild targets, passes, materials and meshes
+     */
+    onContextRestored() {
+        const lensOptions = this.getLensOptions();
+        const extraPasses = this.postProcessing.passes.filter(pass => pass !== this.lensPass);
+        
+        this.mainRenderTarget.dispose();
+        this.wireframeRenderTarget.dispose();
+        this.postProcessing.dispose();
+        
+        // Fresh lens pass with the options the page had set; added passes keep their order
+        this.setupRenderTargets();
+        this.setLensOptions(lensOptions);
+        extraPasses.forEach(pass => this.postProcessing.addPass(pass));
+        
+        this.rebuildText();
+        
+        this.contextLost = false;
+        this.invalidate();
+    }
+    
+    /**
+     * Release GPU resources: text meshes, render targets, passes and the WebGL context
+     */
+    dispose() {
+        this.removeTextMeshes();
+        
+        if (this.mainRenderTarget) {
+            this.mainRenderTarget.dispose();
+            this.wireframeRenderTarget.dispose();
+        }
+        
+        if (this.postProcessing) {
+            this.postProcessing.dispose();
+        }
+        
+        if (this.renderer) {
+            this.renderer.dispose();
+        }
+    }
+    
+    /**
+     * Tear the renderer down completely (page transitions, hot reload)
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        
+        if (this.frameHandle) {
+            this.frameHandle.remove();
+            this.frameHandle = null;
+        }
+        
+        this.lifecycle.dispose();
+        this.stopRoleTyping();
+        
+        if (this.unsubscribeMotionPolicy) {
+            this.unsubscribeMotionPolicy();
+            this.unsubscribeMotionPolicy = null;
+        }
+        
+        if (this.perfHud) {
+            this.perfHud.destroy();
+            this.perfHud = null;
+        }
+        
+        if (this.contextGuard) {
+            this.contextGuard.destroy();
+            this.contextGuard = null;
+        }
+        
+        // Fonts still loading must not rebuild meshes
+        this.fontRequestId++;
+        
+        this.dispose();
         
-        const compositeScene = new THREE.Scene();
-        const compositeCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
-        compositeScene.add(this.compositeQuad);
+        if (this.renderer) {
+            this.renderer.domElement.remove();
+        }
+        if (this.mobileControls) {
+            this.mobileControls.classList.remove('visible');
+        }
+        
+        if (window.portfolioRenderer === this) {
+            window.portfolioRenderer = null;
+        }
         
-        this.renderer.render(compositeScene, compositeCamera);
+        console.log(`${this.profile.label} renderer destroyed`);
     }
     
     /**
-     * Show error message if initialization fails
+     * Initialization failed: drop the canvas and show the static wordmark, keeping the page intact
      */
     showErrorMessage(error) {
-        document.body.innerHTML = `
-            <div style="color: white; text-align: center; padding: 50px; font-family: Arial; background: #1a1a2e;">
-                <h2>WebGL Error</h2>
-                <p>Failed to initialize the 3D renderer.</p>
-                <p style="color: #ff6b6b;">Error: ${error.message}</p>
-                <button onclick="location.reload()" style="padding: 10px 20px; margin-top: 20px; background: #4a9eff; color: white; border: none; border-radius: 5px; cursor: pointer;">
-                    Reload Page
-                </button>
-            </div>
-        `;
+        this.destroy();
+        startFallbackHero(`Renderer failed: ${error.message}`, {
+            text: this.heroConfig.text,
+            typingSpeed: this.typingSpeed,
+            displayTime: this.roleDisplayTime
+        });
     }
 }
 
 /**
- * Initialize immediately when script loads (since it's loaded after DOM is ready)
+ * Pick the renderer profile for this device
  */
-function initializePortfolio() {
-    console.log('Starting Optimized Eva Qi Professional 3D Portfolio');
-    
-    // Check if Three.js is loaded
-    if (typeof THREE === 'undefined') {
-        console.error('Three.js is not loaded. Waiting for it...');
-        // Wait a bit and try again
-        setTimeout(() => {
-            if (typeof THREE !== 'undefined') {
-                console.log('Three.js loaded, initializing portfolio...');
-                try {
-                    new OptimizedPortfolio3DRenderer();
-                } catch (error) {
-                    console.error('Critical initialization error:', error);
-                }
-            } else {
-                console.error('Three.js failed to load');
-            }
-        }, 1000);
-        return;
-    }
+function resolveRendererProfile() {
+    const profileName = window.deviceDetector
+        ? window.deviceDetector.getRendererProfile()
+        : (/Android|webOS|iPhone|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) ||
+           window.innerWidth <= 768 ? 'mobile' : 'desktop');
     
+    return RENDERER_PROFILES[profileName] || RENDERER_PROFILES.desktop;
+}
+
+/**
+ * Create the renderer; window.portfolioRenderer only ever holds one that started
+ */
+function startPortfolioRenderer() {
     try {
-        new OptimizedPortfolio3DRenderer();
+        const renderer = new Portfolio3DRenderer(resolveRendererProfile(), window.heroConfig);
+        // A failed init() already destroyed itself and started the fallback hero
+        if (!renderer.failed) {
+            window.portfolioRenderer = renderer;
+        }
     } catch (error) {
         console.error('Critical initialization error:', error);
+        startFallbackHero(`Renderer failed: ${error.message}`);
     }
 }
 
-// Initialize immediately if DOM is already loaded, otherwise wait for DOMContentLoaded
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializePortfolio);
-} else {
-    // DOM is already loaded, initialize immediately
-    initializePortfolio();
+/**
+ * Start the hero; the device detector calls this once Three.js and the renderer scripts have loaded
+ */
+function initializePortfolio() {
+    console.log('Starting Eva Qi Professional 3D Portfolio');
+    
+    if (typeof THREE === 'undefined') {
+        console.error('Three.js failed to load');
+        startFallbackHero('Three.js failed to load');
+        return;
+    }
+    
+    startPortfolioRenderer();
 }
 
 /**
@@ -884,4 +2410,4 @@ window.addEventListener('error', (e) => {
     if (e.message !== 'Script error.') {
         console.error('Runtime error:', e.message, e.filename, e.lineno);
     }
-});
\ No newline at end of file
+});
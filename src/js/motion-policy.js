@@ -0,0 +1,179 @@
+/**
+ * MOTION POLICY
+ * Eva Qi Portfolio - Reduced Motion & Low-Power Mode
+ * 
+ * FEATURES:
+ * - Follows the prefers-reduced-motion media query
+ * - Low-power detection (Save-Data, battery low and discharging)
+ * - User toggle persisted in localStorage, bound to [data-motion-toggle]
+ * - Toggles html.reduce-motion for stylesheets
+ * - subscribe() for components that animate from script
+ * 
+ * USAGE:
+ *   if (window.motionPolicy.reduced) { ...show the end state... }
+ *   window.motionPolicy.subscribe(reduced => { ... });
+ */
+
+const MOTION_PREFERENCES = ['auto', 'reduced', 'full'];
+
+class MotionPolicy {
+    constructor(storageKey = 'motion-preference') {
+        this.storageKey = storageKey;
+        this.preference = this.readPreference();
+        this.systemReduced = false;
+        this.lowPower = false;
+        this.reduced = false;
+        this.listeners = new Set();
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize media query, low-power and toggle tracking
+     */
+    init() {
+        if (window.matchMedia) {
+            const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+            this.systemReduced = query.matches;
+            
+            const onChange = (event) => {
+                this.systemReduced = event.matches;
+                this.update();
+            };
+            
+            // Safari < 14 only has addListener
+            if (query.addEventListener) {
+                query.addEventListener('change', onChange);
+            } else if (query.addListener) {
+                query.addListener(onChange);
+            }
+        }
+        
+        this.setupLowPowerDetection();
+        this.update();
+        
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.bindToggles());
+        } else {
+            this.bindToggles();
+        }
+    }
+    
+    /**
+     * Treat Save-Data and a low, discharging battery as low-power mode
+     */
+    setupLowPowerDetection() {
+        const connection = navigator.connection;
+        if (connection && connection.saveData) {
+            this.lowPower = true;
+        }
+        
+        if (!navigator.getBattery) return;
+        
+        navigator.getBattery().then((battery) => {
+            const check = () => {
+                const batteryLow = !battery.charging && battery.level <= 0.2;
+                this.lowPower = Boolean(connection && connection.saveData) || batteryLow;
+                this.update();
+            };
+            
+            battery.addEventListener('chargingchange', check);
+            battery.addEventListener('levelchange', check);
+            check();
+        }).catch(() => {
+            // Battery status blocked (permissions policy) - keep the current value
+        });
+    }
+    
+    /**
+     * Stored user preference ('auto' when unset or storage is unavailable)
+     */
+    readPreference() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return MOTION_PREFERENCES.includes(stored) ? stored : 'auto';
+        } catch (error) {
+            return 'auto';
+        }
+    }
+    
+    /**
+     * Set the user preference: 'auto', 'reduced' or 'full'
+     */
+    setPreference(preference) {
+        if (!MOTION_PREFERENCES.includes(preference)) {
+            throw new Error(`Unknown motion preference "${preference}"`);
+        }
+        
+        this.preference = preference;
+        
+        try {
+            localStorage.setItem(this.storageKey, preference);
+        } catch (error) {
+            console.warn('Could not store motion preference:', error.message);
+        }
+        
+        this.update();
+    }
+    
+    /**
+     * Flip between reduced and full motion
+     */
+    toggle() {
+        this.setPreference(this.reduced ? 'full' : 'reduced');
+    }
+    
+    /**
+     * Recompute the effective policy and notify subscribers on change
+     */
+    update() {
+        const reduced = this.preference === 'auto'
+            ? this.systemReduced || this.lowPower
+            : this.preference === 'reduced';
+        
+        const changed = reduced !== this.reduced;
+        this.reduced = reduced;
+        
+        document.documentElement.classList.toggle('reduce-motion', reduced);
+        this.syncToggles();
+        
+        if (!changed) return;
+        
+        console.log(`Motion policy: ${reduced ? 'reduced' : 'full'} (${this.preference})`);
+        this.listeners.forEach(listener => listener(reduced));
+    }
+    
+    /**
+     * Listen for policy changes; returns an unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    
+    /**
+     * Wire up every [data-motion-toggle] button, including ones added by in-place navigation
+     */
+    bindToggles() {
+        document.addEventListener('click', (event) => {
+            if (event.target.closest('[data-motion-toggle]')) {
+                this.toggle();
+            }
+        });
+        window.addEventListener('pagechange', () => this.syncToggles());
+        
+        this.syncToggles();
+    }
+    
+    /**
+     * Reflect the current policy on toggle buttons
+     */
+    syncToggles() {
+        document.querySelectorAll('[data-motion-toggle]').forEach(button => {
+            button.setAttribute('aria-pressed', String(this.reduced));
+            button.title = this.reduced ? 'Turn animations on' : 'Reduce motion';
+        });
+    }
+}
+
+window.motionPolicy = new MotionPolicy();
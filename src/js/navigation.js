@@ -3,24 +3,82 @@
  * Eva Qi Portfolio - Interactive Navigation
  * 
  * FEATURES:
- * - Navbar scroll effects
- * - Mobile hamburger menu
- * - Sidebar navigation
+ * - Navbar, sidebar and breadcrumbs rendered from the site map (site-map.js)
+ * - Dropdown submenus; active state from the resolved route
+ * - Ctrl+K / ⌘K command palette searching pages, sections, projects, milestones, roles and contacts
+ * - Navbar hides on scroll down, returns on scroll up (Headroom); stays while the sidebar is open or a field has focus
+ * - Mobile hamburger menu (keyboard operable, aria-expanded)
+ * - Sidebar navigation as a modal dialog: focus trap, Escape, focus return, swipe to close
  * - Smooth scrolling
- * - Active link management
+ * - Active link management through the shared ScrollSpy ('sectionchange')
+ * - In-place page navigation (fetch, swap, pushState) with page transitions
+ * - Hash deep links (also across pages) offset by the measured navbar height
+ * - Scroll position restored per history entry; URL hash follows the active section
+ * - mount/unmount hooks for page scripts
+ * 
+ * PAGE SCRIPTS:
+ *   registerPageHooks('journey', {
+ *       mount: () => { ...set up the page... },
+ *       unmount: () => { ...tear it down before the next page... }
+ *   });
+ */
+
+/**
+ * Elements kept across in-place navigation; everything else in <body> belongs to the page
  */
+const PAGE_SHELL_SELECTOR = '.navbar, .mobile-sidebar, .command-palette, script';
+const PAGE_TRANSITION_DURATION = 250; // ms, matches main-style.css
+const STYLESHEET_TIMEOUT = 3000; // ms to wait for a new page's stylesheets
+const SECTION_SCROLL_GAP = 10; // px left between the navbar and a section scrolled to
+const SIDEBAR_SWIPE_DISTANCE = 0.3; // Fraction of the sidebar width a swipe must cover to close it
+const SIDEBAR_SWIPE_VELOCITY = 0.5; // px/ms; a faster flick closes it regardless of distance
+const SEARCH_DATA_SCRIPTS = {
+    milestones: 'src/js/journey-data.js', // loadJourneyEntries()
+    roles: 'src/js/role-typewriter.js' // HERO_ROLES
+};
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+const pageHooks = new Map();
+
+/**
+ * Register mount/unmount hooks for a page (file name without .html, 'index' for the root)
+ */
+function registerPageHooks(page, hooks) {
+    pageHooks.set(page, hooks);
+}
 
 class NavigationSystem {
     constructor() {
         this.navbar = document.getElementById('navbar');
+        this.navMenu = document.getElementById('nav-menu');
         this.hamburger = document.getElementById('hamburger');
         this.mobileSidebar = document.getElementById('mobile-sidebar');
         this.closeSidebar = document.getElementById('close-sidebar');
-        this.navLinks = document.querySelectorAll('.nav-link');
+        
+        // Menus come from the site map, so render them before collecting links
+        this.siteMap = typeof SiteMap !== 'undefined' ? new SiteMap() : null;
+        this.entryLinks = new Map(); // Site map entry -> links rendered for it
+        this.breadcrumbs = null;
+        this.dropdownCount = 0;
+        this.renderMenus();
+        
+        this.navLinks = document.querySelectorAll('.nav-link, .nav-dropdown-link');
         this.sidebarLinks = document.querySelectorAll('.sidebar-link');
         
         this.isSidebarOpen = false;
-        this.lastScrollY = window.scrollY;
+        this.sidebarReturnFocus = null; // Element focused before the sidebar opened
+        this.headroom = null;
+        this.scrollSpy = null;
+        this.sectionLinks = new Map(); // Section id -> nav/sidebar links pointing at it
+        this.scrollSaveTimeout = null;
+        this.commandPalette = null;
+        
+        // In-place navigation
+        this.mountedPage = null;
+        this.pageCache = new Map();
+        this.navigationRun = 0;
+        this.navigationQueue = Promise.resolve();
+        this.executedInlineScripts = new Set();
         
         this.init();
     }
@@ -29,55 +87,249 @@ class NavigationSystem {
      * Initialize navigation system
      */
     init() {
-        // Only initialize if navbar exists (not on index page)
+        // Every page ships the navbar; a page without one gets no navigation
         if (!this.navbar) {
             console.log('No navbar found, skipping navigation initialization');
             return;
         }
         
         this.setupScrollEffects();
+        this.setupDropdowns();
         this.setupHamburgerMenu();
         this.setupSidebar();
         this.setupSmoothScrolling();
         this.setupActiveLinks();
+        this.setupScrollRestoration();
+        this.setupRouter();
+        this.setupCommandPalette();
         
         console.log('Navigation system initialized');
     }
     
     /**
-     * Setup navbar scroll effects
+     * Render the navbar menu, sidebar menu and breadcrumb container from the site map
      */
-    setupScrollEffects() {
-        let ticking = false;
+    renderMenus() {
+        if (!this.siteMap) {
+            return;
+        }
+        
+        if (this.navMenu) {
+            this.navMenu.replaceChildren(...this.siteMap.entries.map(entry => this.createNavItem(entry)));
+        }
+        
+        const sidebarMenu = this.mobileSidebar ? this.mobileSidebar.querySelector('.sidebar-menu') : null;
+        if (sidebarMenu) {
+            sidebarMenu.replaceChildren(...this.createSidebarItems(this.siteMap.entries, 0));
+        }
+        
+        // Breadcrumbs sit next to the logo, inside the navbar's fixed height
+        const logo = this.navbar ? this.navbar.querySelector('.logo') : null;
+        if (logo) {
+            this.breadcrumbs = document.createElement('nav');
+            this.breadcrumbs.className = 'breadcrumbs';
+            this.breadcrumbs.setAttribute('aria-label', 'Breadcrumb');
+            this.breadcrumbs.hidden = true;
+            logo.after(this.breadcrumbs);
+        }
+        
+        this.renderMotionToggle();
+    }
+    
+    /**
+     * Reduced motion toggle in the navbar, so every page can change the preference
+     */
+    renderMotionToggle() {
+        if (!window.motionPolicy || !this.hamburger) {
+            return;
+        }
+        
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'nav-motion-toggle';
+        toggle.setAttribute('data-motion-toggle', '');
+        toggle.setAttribute('aria-label', 'Reduce motion');
+        toggle.textContent = 'Motion';
+        this.hamburger.before(toggle);
         
-        const updateNavbar = () => {
-            const currentScrollY = window.scrollY;
+        // motion-policy.js bound its toggles before this one existed
+        window.motionPolicy.syncToggles();
+    }
+    
+    /**
+     * Link for a site map entry (icon optional, external links open in a new tab)
+     */
+    createLink(entry, className, { icon = false } = {}) {
+        const link = document.createElement('a');
+        link.className = className;
+        link.setAttribute('href', entry.href);
+        
+        if (icon && entry.icon) {
+            const iconElement = document.createElement('span');
+            iconElement.className = 'link-icon';
+            iconElement.setAttribute('aria-hidden', 'true');
+            iconElement.textContent = entry.icon;
+            link.appendChild(iconElement);
+        }
+        
+        link.append(entry.label);
+        
+        if (entry.external) {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
             
-            if (currentScrollY > 100) {
-                this.navbar.classList.add('scrolled');
-            } else {
-                this.navbar.classList.remove('scrolled');
-            }
+            const note = document.createElement('span');
+            note.className = 'visually-hidden';
+            note.textContent = ' (opens in a new tab)';
+            link.appendChild(note);
+        }
+        
+        this.entryLinks.set(entry, (this.entryLinks.get(entry) || []).concat(link));
+        return link;
+    }
+    
+    /**
+     * Navbar item: a link, or a link plus a dropdown toggle when the entry has children
+     */
+    createNavItem(entry) {
+        const link = this.createLink(entry, 'nav-link');
+        if (!entry.children || entry.children.length === 0) {
+            return link;
+        }
+        
+        const id = `nav-dropdown-${++this.dropdownCount}`;
+        const item = document.createElement('div');
+        item.className = 'nav-item has-dropdown';
+        
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'nav-dropdown-toggle';
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-controls', id);
+        toggle.setAttribute('aria-label', `${entry.label} submenu`);
+        
+        const dropdown = document.createElement('div');
+        dropdown.className = 'nav-dropdown';
+        dropdown.id = id;
+        entry.children.forEach((child) => {
+            dropdown.appendChild(this.createLink(child, 'nav-dropdown-link', { icon: true }));
+        });
+        
+        item.append(link, toggle, dropdown);
+        return item;
+    }
+    
+    /**
+     * Sidebar links, children nested (and indented) under their parent
+     */
+    createSidebarItems(entries, depth) {
+        const nodes = [];
+        
+        entries.forEach((entry) => {
+            const className = depth > 0 ? 'sidebar-link sidebar-sublink' : 'sidebar-link';
+            nodes.push(this.createLink(entry, className, { icon: true }));
             
-            // Hide/show navbar on scroll
-            if (currentScrollY > this.lastScrollY && currentScrollY > 200) {
-                this.navbar.style.transform = 'translateY(-100%)';
-            } else {
-                this.navbar.style.transform = 'translateY(0)';
+            if (entry.children && entry.children.length > 0) {
+                const group = document.createElement('div');
+                group.className = 'sidebar-submenu';
+                group.setAttribute('role', 'group');
+                group.setAttribute('aria-label', entry.label);
+                group.append(...this.createSidebarItems(entry.children, depth + 1));
+                nodes.push(group);
             }
-            
-            this.lastScrollY = currentScrollY;
-            ticking = false;
-        };
+        });
+        
+        return nodes;
+    }
+    
+    /**
+     * Dropdowns open on hover, or with their toggle (click, Enter, Space); Escape and focus leaving close them
+     */
+    setupDropdowns() {
+        if (!this.navMenu) {
+            return;
+        }
         
-        const requestTick = () => {
-            if (!ticking) {
-                requestAnimationFrame(updateNavbar);
-                ticking = true;
+        this.navMenu.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.nav-dropdown-toggle');
+            if (toggle) {
+                const item = toggle.closest('.nav-item');
+                this.toggleDropdown(item, !item.classList.contains('open'));
+            } else if (e.target.closest('.nav-dropdown-link')) {
+                this.closeDropdowns();
             }
-        };
+        });
+        
+        this.navMenu.addEventListener('keydown', (e) => {
+            const item = e.target.closest('.nav-item.open');
+            if (e.key === 'Escape' && item) {
+                this.closeDropdowns();
+                item.querySelector('.nav-dropdown-toggle').focus();
+            }
+        });
+        
+        this.navMenu.addEventListener('focusout', (e) => {
+            if (!this.navMenu.contains(e.relatedTarget)) {
+                this.closeDropdowns();
+            }
+        });
+        
+        document.addEventListener('click', (e) => {
+            if (!this.navMenu.contains(e.target)) {
+                this.closeDropdowns();
+            }
+        });
+    }
+    
+    /**
+     * Open or close one dropdown (only one is open at a time)
+     */
+    toggleDropdown(item, open) {
+        this.closeDropdowns();
+        
+        if (open) {
+            item.classList.add('open');
+            item.querySelector('.nav-dropdown-toggle').setAttribute('aria-expanded', 'true');
+        }
+    }
+    
+    /**
+     * Close every open dropdown
+     */
+    closeDropdowns() {
+        if (!this.navMenu) return;
+        
+        this.navMenu.querySelectorAll('.nav-item.open').forEach((item) => {
+            item.classList.remove('open');
+            item.querySelector('.nav-dropdown-toggle').setAttribute('aria-expanded', 'false');
+        });
+    }
+    
+    /**
+     * Setup navbar scroll effects: 'scrolled' past the top, hidden while scrolling down
+     */
+    setupScrollEffects() {
+        if (typeof Headroom === 'undefined') {
+            return;
+        }
+        
+        this.headroom = new Headroom(this.navbar, {
+            offset: 200,
+            topOffset: 100,
+            tolerance: { up: 5, down: 10 },
+            shouldStayPinned: () => this.isSidebarOpen || this.isFormFieldFocused()
+        });
+    }
+    
+    /**
+     * Whether the focused element takes text input (the on-screen keyboard scrolls the page)
+     */
+    isFormFieldFocused() {
+        const active = document.activeElement;
+        if (!active || active === document.body) return false;
         
-        window.addEventListener('scroll', requestTick, { passive: true });
+        return active.isContentEditable ||
+            active.matches('textarea, select, input:not([type="button"]):not([type="submit"]):not([type="reset"]):not([type="checkbox"]):not([type="radio"])');
     }
     
     /**
@@ -92,6 +344,14 @@ class NavigationSystem {
             this.toggleSidebar();
         });
         
+        // The hamburger is a div[role=button] on every page: give it button keys
+        this.hamburger.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.toggleSidebar();
+            }
+        });
+        
         // Close sidebar when clicking outside
         document.addEventListener('click', (e) => {
             if (this.isSidebarOpen && 
@@ -117,11 +377,117 @@ class NavigationSystem {
         // Handle sidebar link clicks
         this.sidebarLinks.forEach(link => {
             link.addEventListener('click', (e) => {
+                // External links keep their default (new tab)
+                if (link.target === '_blank') {
+                    this.closeSidebarMenu();
+                    return;
+                }
+                
                 e.preventDefault();
                 this.handleLinkClick(link);
                 this.closeSidebarMenu();
             });
         });
+        
+        document.addEventListener('keydown', (e) => {
+            if (!this.isSidebarOpen) return;
+            
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeSidebarMenu();
+            } else if (e.key === 'Tab') {
+                this.trapSidebarFocus(e);
+            }
+        });
+        
+        this.setupSidebarSwipe();
+    }
+    
+    /**
+     * Focusable elements inside the sidebar, in tab order
+     */
+    getSidebarFocusables() {
+        return Array.from(this.mobileSidebar.querySelectorAll(FOCUSABLE_SELECTOR))
+            .filter(el => !el.hidden && el.getClientRects().length > 0);
+    }
+    
+    /**
+     * Keep Tab / Shift+Tab cycling inside the open sidebar
+     */
+    trapSidebarFocus(e) {
+        const focusables = this.getSidebarFocusables();
+        if (focusables.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+        const active = document.activeElement;
+        
+        if (!this.mobileSidebar.contains(active)) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        } else if (e.shiftKey && active === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    /**
+     * Swipe right on touch devices to close; the sidebar follows the finger until released
+     */
+    setupSidebarSwipe() {
+        let swipe = null;
+        
+        const reset = () => {
+            this.mobileSidebar.style.transition = '';
+            this.mobileSidebar.style.transform = '';
+            swipe = null;
+        };
+        
+        this.mobileSidebar.addEventListener('touchstart', (e) => {
+            if (!this.isSidebarOpen || e.touches.length !== 1) return;
+            
+            const touch = e.touches[0];
+            swipe = { startX: touch.clientX, startY: touch.clientY, startTime: performance.now(), deltaX: 0, horizontal: null };
+        }, { passive: true });
+        
+        this.mobileSidebar.addEventListener('touchmove', (e) => {
+            if (!swipe) return;
+            
+            const touch = e.touches[0];
+            const dx = touch.clientX - swipe.startX;
+            const dy = touch.clientY - swipe.startY;
+            
+            // Decide once per gesture whether it is a swipe or a vertical scroll
+            if (swipe.horizontal === null) {
+                if (Math.abs(dx) < 10 && Math.abs(dy) < 10) return;
+                swipe.horizontal = Math.abs(dx) > Math.abs(dy);
+            }
+            if (!swipe.horizontal) return;
+            
+            swipe.deltaX = Math.max(0, dx);
+            this.mobileSidebar.style.transition = 'none';
+            this.mobileSidebar.style.transform = `translateX(${swipe.deltaX}px)`;
+        }, { passive: true });
+        
+        this.mobileSidebar.addEventListener('touchend', () => {
+            if (!swipe) return;
+            
+            const { deltaX, startTime, horizontal } = swipe;
+            const velocity = deltaX / Math.max(1, performance.now() - startTime);
+            reset();
+            
+            if (horizontal && (deltaX > this.mobileSidebar.offsetWidth * SIDEBAR_SWIPE_DISTANCE || velocity > SIDEBAR_SWIPE_VELOCITY)) {
+                this.closeSidebarMenu();
+            }
+        });
+        
+        this.mobileSidebar.addEventListener('touchcancel', reset);
     }
     
     /**
@@ -143,10 +509,18 @@ class NavigationSystem {
             return;
         }
         
+        if (this.isSidebarOpen) return;
+        
+        this.sidebarReturnFocus = document.activeElement;
         this.mobileSidebar.classList.add('active');
         this.hamburger.classList.add('active');
+        this.hamburger.setAttribute('aria-expanded', 'true');
         this.isSidebarOpen = true;
         
+        if (this.headroom) {
+            this.headroom.update();
+        }
+        
         // Prevent body scroll
         document.body.style.overflow = 'hidden';
         
@@ -155,6 +529,12 @@ class NavigationSystem {
             link.style.animationDelay = `${index * 0.1}s`;
             link.classList.add('animate-in');
         });
+        
+        // Move focus into the dialog (the close button comes first)
+        const focusables = this.getSidebarFocusables();
+        if (focusables.length > 0) {
+            focusables[0].focus({ preventScroll: true });
+        }
     }
     
     /**
@@ -165,8 +545,11 @@ class NavigationSystem {
             return;
         }
         
+        if (!this.isSidebarOpen) return;
+        
         this.mobileSidebar.classList.remove('active');
         this.hamburger.classList.remove('active');
+        this.hamburger.setAttribute('aria-expanded', 'false');
         this.isSidebarOpen = false;
         
         // Restore body scroll
@@ -176,6 +559,14 @@ class NavigationSystem {
         this.sidebarLinks.forEach(link => {
             link.classList.remove('animate-in');
         });
+        
+        // Hand focus back, unless the user already moved it elsewhere (e.g. clicked outside)
+        const returnFocus = this.sidebarReturnFocus;
+        this.sidebarReturnFocus = null;
+        if (this.mobileSidebar.contains(document.activeElement) || document.activeElement === document.body) {
+            const target = returnFocus && returnFocus.isConnected && returnFocus !== document.body ? returnFocus : this.hamburger;
+            target.focus({ preventScroll: true });
+        }
     }
     
     /**
@@ -189,116 +580,773 @@ class NavigationSystem {
                 
                 if (href.startsWith('#')) {
                     e.preventDefault();
-                    this.scrollToSection(href);
+                    this.goToHash(href);
                 }
             });
         });
     }
     
     /**
-     * Scroll to section smoothly
+     * Scroll to a section, clear of the navbar (smooth unless motion is reduced)
      */
-    scrollToSection(target) {
-        const element = document.querySelector(target);
+    scrollToSection(target, behavior = 'smooth') {
+        let element = null;
+        try {
+            element = document.querySelector(target);
+        } catch (error) {
+            // Not a valid selector (e.g. '#1-intro'); fall back to the raw id
+            element = document.getElementById(decodeURIComponent(target.slice(1)));
+        }
+        
         if (element) {
-            const offsetTop = element.offsetTop - 80; // Account for navbar height
+            const reduced = window.motionPolicy && window.motionPolicy.reduced;
+            const offsetTop = element.getBoundingClientRect().top + window.scrollY - this.getNavbarOffset();
             
             window.scrollTo({
-                top: offsetTop,
-                behavior: 'smooth'
+                top: Math.max(0, offsetTop),
+                behavior: reduced ? 'auto' : behavior
             });
         }
     }
     
+    /**
+     * Space taken by the navbar right now (0 when the page hides it)
+     */
+    getNavbarOffset() {
+        const height = this.navbar ? this.navbar.offsetHeight : 0;
+        return height > 0 ? height + SECTION_SCROLL_GAP : 0;
+    }
+    
+    /**
+     * Same-page hash link: new history entry, then scroll
+     */
+    goToHash(hash) {
+        if (hash !== window.location.hash) {
+            this.saveScrollPosition();
+            history.pushState({ page: SiteMap.getPageName() }, '', hash);
+        }
+        
+        this.scrollToSection(hash);
+    }
+    
+    /**
+     * Own scroll restoration: per-entry positions, navbar-aware hash targets
+     */
+    setupScrollRestoration() {
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+        
+        window.addEventListener('scroll', () => {
+            clearTimeout(this.scrollSaveTimeout);
+            this.scrollSaveTimeout = setTimeout(() => this.saveScrollPosition(), 150);
+        }, { passive: true });
+        
+        // Links to a section of this page (#id or page.html#id)
+        document.addEventListener('click', (e) => {
+            if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+                return;
+            }
+            
+            const link = e.target.closest('a[href*="#"]');
+            if (!link || (link.target && link.target !== '_self')) {
+                return;
+            }
+            
+            const url = new URL(link.href);
+            if (url.hash && url.origin === window.location.origin && url.pathname === window.location.pathname) {
+                e.preventDefault();
+                this.closeSidebarMenu();
+                this.goToHash(url.hash);
+            }
+        });
+        
+        window.addEventListener('popstate', () => {
+            // Other pages are restored by loadPage once swapped in
+            if (SiteMap.getPageName() === this.mountedPage) {
+                this.restoreScrollPosition();
+            }
+        });
+        
+        // Deep link or reload: wait for layout (images, fonts) before measuring
+        if (document.readyState === 'complete') {
+            this.restoreScrollPosition();
+        } else {
+            window.addEventListener('load', () => this.restoreScrollPosition(), { once: true });
+        }
+    }
+    
+    /**
+     * Remember the scroll position on the current history entry
+     */
+    saveScrollPosition() {
+        clearTimeout(this.scrollSaveTimeout);
+        history.replaceState(Object.assign({}, history.state, { scrollY: window.scrollY }), '');
+    }
+    
+    /**
+     * Back to the entry's saved position, else its hash target, else the top
+     */
+    restoreScrollPosition() {
+        const state = history.state;
+        
+        if (state && typeof state.scrollY === 'number') {
+            window.scrollTo(0, state.scrollY);
+        } else if (window.location.hash) {
+            this.scrollToSection(window.location.hash, 'auto');
+        } else {
+            window.scrollTo(0, 0);
+        }
+    }
+    
     /**
      * Setup active link management
      */
     setupActiveLinks() {
-        const sections = document.querySelectorAll('section[id]');
+        if (typeof ScrollSpy === 'undefined') {
+            return;
+        }
         
-        const updateActiveLink = () => {
-            const scrollPos = window.scrollY + 100;
+        window.addEventListener('sectionchange', (e) => {
+            const { id, section, previousId } = e.detail;
             
-            sections.forEach(section => {
-                const sectionTop = section.offsetTop;
-                const sectionHeight = section.offsetHeight;
-                const sectionId = section.getAttribute('id');
-                
-                if (scrollPos >= sectionTop && scrollPos < sectionTop + sectionHeight) {
-                    this.setActiveLink(sectionId);
+            this.setActiveLink(id, previousId);
+            this.updateHash(section === this.scrollSpy.sections[0] ? '' : `#${id}`);
+        });
+        
+        this.scrollSpy = new ScrollSpy({ offsetTop: () => this.getNavbarOffset() });
+    }
+    
+    /**
+     * Index the links to sections of this page (#id or page.html#id) so a section change touches only its own links
+     */
+    indexSectionLinks() {
+        this.sectionLinks.clear();
+        
+        [...this.navLinks, ...this.sidebarLinks].forEach(link => {
+            const url = new URL(link.getAttribute('href'), window.location.href);
+            if (url.hash.length > 1 && url.pathname === window.location.pathname) {
+                const id = decodeURIComponent(url.hash.slice(1));
+                this.sectionLinks.set(id, (this.sectionLinks.get(id) || []).concat(link));
+            }
+        });
+    }
+    
+    /**
+     * Reflect the active section in the URL without adding history entries
+     */
+    updateHash(hash) {
+        if (hash === window.location.hash) return;
+        
+        const url = `${window.location.pathname}${window.location.search}${hash}`;
+        history.replaceState(history.state, '', url);
+    }
+    
+    /**
+     * Set active link
+     */
+    setActiveLink(sectionId, previousId = null) {
+        (this.sectionLinks.get(previousId) || []).forEach(link => link.classList.remove('active'));
+        (this.sectionLinks.get(sectionId) || []).forEach(link => link.classList.add('active'));
+    }
+    
+    /**
+     * Handle link click
+     */
+    handleLinkClick(link) {
+        const url = new URL(link.getAttribute('href'), window.location.href);
+        
+        // Section of this page (#id or this-page.html#id)
+        if (url.hash && url.pathname === window.location.pathname) {
+            this.goToHash(url.hash);
+            return;
+        }
+        
+        // Navigate to other pages, in place when possible
+        if (this.isRoutable(url)) {
+            this.navigate(url.href);
+        } else {
+            window.location.href = url.href;
+        }
+    }
+    
+    /**
+     * Intercept same-site page links and back/forward
+     */
+    setupRouter() {
+        // fetch() needs http(s); file:// keeps full page loads
+        if (!window.history.pushState || !window.fetch || !/^https?:$/.test(window.location.protocol)) {
+            return;
+        }
+        
+        this.rememberInlineScripts(document, SiteMap.getPageName());
+        history.replaceState(Object.assign({}, history.state, { page: SiteMap.getPageName() }), '');
+        
+        document.addEventListener('click', (e) => {
+            if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+                return;
+            }
+            
+            const link = e.target.closest('a[href]');
+            if (!link || (link.target && link.target !== '_self') || link.hasAttribute('download')) {
+                return;
+            }
+            
+            const url = new URL(link.href);
+            if (this.isRoutable(url)) {
+                e.preventDefault();
+                this.closeSidebarMenu();
+                this.navigate(url.href);
+            }
+        });
+        
+        window.addEventListener('popstate', () => {
+            if (SiteMap.getPageName() !== this.mountedPage) {
+                this.navigate(window.location.href, { push: false });
+            }
+        });
+    }
+    
+    /**
+     * Whether a URL is another page of this site that can be loaded in place
+     */
+    isRoutable(url) {
+        return url.origin === window.location.origin &&
+            /^https?:$/.test(url.protocol) &&
+            /(\.html|\/)$/.test(url.pathname) &&
+            url.pathname !== window.location.pathname;
+    }
+    
+    /**
+     * Go to a page in place; the latest call wins when several overlap
+     */
+    navigate(url, { push = true } = {}) {
+        const run = ++this.navigationRun;
+        
+        this.navigationQueue = this.navigationQueue.then(() => {
+            if (run !== this.navigationRun) return null; // Superseded while waiting
+            return this.loadPage(url, push);
+        });
+        
+        return this.navigationQueue;
+    }
+    
+    /**
+     * Fetch, leave the current page, swap in the new one and enter it
+     */
+    async loadPage(url, push) {
+        const target = new URL(url, window.location.href);
+        const page = SiteMap.getPageName(target.href);
+        
+        let doc;
+        try {
+            doc = await this.fetchPage(target.href);
+        } catch (error) {
+            console.warn(`In-place navigation failed (${error.message}), loading ${target.href}`);
+            window.location.href = target.href;
+            return;
+        }
+        
+        await this.playTransition('leaving');
+        this.unmountPage();
+        
+        if (push) {
+            this.saveScrollPosition();
+            history.pushState({ page }, '', target.href);
+        }
+        
+        await this.syncHead(doc, target);
+        this.swapContent(doc);
+        await this.runPageScripts(doc, target, page);
+        
+        // New entries open at their hash target (or the top), history entries where they were left
+        if (push) {
+            window.scrollTo(0, 0);
+            if (target.hash) {
+                this.scrollToSection(target.hash, 'auto');
+            }
+        } else {
+            this.restoreScrollPosition();
+        }
+        
+        if (this.scrollSpy) {
+            this.scrollSpy.refresh();
+        }
+        
+        this.mountPage(page);
+        this.updateForCurrentPage();
+        await this.playTransition('entering');
+        
+        console.log(`Navigated to ${page}`);
+    }
+    
+    /**
+     * Fetch and parse a page (cached per URL, without the hash)
+     */
+    fetchPage(url) {
+        const key = url.split('#')[0];
+        
+        if (!this.pageCache.has(key)) {
+            const request = fetch(key, { credentials: 'same-origin' }).then((response) => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
                 }
+                return response.text();
             });
-        };
+            
+            // Failed requests are retried next time
+            request.catch(() => this.pageCache.delete(key));
+            this.pageCache.set(key, request);
+        }
         
-        window.addEventListener('scroll', updateActiveLink, { passive: true });
+        return this.pageCache.get(key).then(html => new DOMParser().parseFromString(html, 'text/html'));
     }
     
     /**
-     * Set active link
+     * Fade page content out ('leaving') or in ('entering'); instant under reduced motion
      */
-    setActiveLink(sectionId) {
-        // Update nav links
-        this.navLinks.forEach(link => {
-            link.classList.remove('active');
-            if (link.getAttribute('href') === `#${sectionId}`) {
-                link.classList.add('active');
+    playTransition(phase) {
+        const body = document.body;
+        const reduced = window.motionPolicy && window.motionPolicy.reduced;
+        
+        if (reduced) {
+            body.classList.remove('page-transition', 'page-leaving', 'page-entering');
+            return Promise.resolve();
+        }
+        
+        body.classList.add('page-transition');
+        
+        if (phase === 'leaving') {
+            body.classList.add('page-leaving');
+        } else {
+            // Content was swapped in while hidden; fade it in from there
+            body.classList.remove('page-leaving');
+            body.classList.add('page-entering');
+            void body.offsetWidth; // Commit the hidden state before transitioning
+            body.classList.remove('page-entering');
+        }
+        
+        return new Promise(resolve => setTimeout(resolve, PAGE_TRANSITION_DURATION)).then(() => {
+            if (phase === 'entering') {
+                body.classList.remove('page-transition');
             }
         });
+    }
+    
+    /**
+     * Match title, description and page styles to the new page; waits for new stylesheets
+     */
+    async syncHead(doc, target) {
+        document.title = doc.title;
         
-        // Update sidebar links
-        this.sidebarLinks.forEach(link => {
-            link.classList.remove('active');
-            if (link.getAttribute('href') === `#${sectionId}`) {
-                link.classList.add('active');
+        const description = doc.querySelector('meta[name="description"]');
+        const currentDescription = document.querySelector('meta[name="description"]');
+        if (description && currentDescription) {
+            currentDescription.content = description.content;
+        }
+        
+        const head = document.head;
+        const hrefs = Array.from(doc.querySelectorAll('head link[rel="stylesheet"]'))
+            .map(link => new URL(link.getAttribute('href'), target.href).href);
+        const styles = Array.from(doc.querySelectorAll('head style')).map(style => style.textContent);
+        
+        const currentLinks = Array.from(head.querySelectorAll('link[rel="stylesheet"]'));
+        const currentStyles = Array.from(head.querySelectorAll('style'));
+        
+        // Add what is missing first so shared rules never drop out
+        const loads = hrefs
+            .filter(href => !currentLinks.some(link => link.href === href))
+            .map(href => new Promise((resolve) => {
+                const link = document.createElement('link');
+                link.rel = 'stylesheet';
+                link.href = href;
+                link.onload = resolve;
+                link.onerror = resolve;
+                setTimeout(resolve, STYLESHEET_TIMEOUT); // Never hold the page on a slow stylesheet
+                head.appendChild(link);
+            }));
+        
+        styles
+            .filter(text => !currentStyles.some(style => style.textContent === text))
+            .forEach((text) => {
+                const style = document.createElement('style');
+                style.textContent = text;
+                head.appendChild(style);
+            });
+        
+        await Promise.all(loads);
+        
+        currentLinks.filter(link => !hrefs.includes(link.href)).forEach(link => link.remove());
+        currentStyles.filter(style => !styles.includes(style.textContent)).forEach(style => style.remove());
+    }
+    
+    /**
+     * Replace everything in <body> except the navbar, sidebar and scripts
+     */
+    swapContent(doc) {
+        const isShell = node => node.nodeType === Node.ELEMENT_NODE && node.matches(PAGE_SHELL_SELECTOR);
+        const body = document.body;
+        
+        Array.from(body.childNodes).forEach((node) => {
+            if (!isShell(node)) {
+                node.remove();
+            }
+        });
+        
+        const anchor = body.querySelector(':scope > script');
+        Array.from(doc.body.childNodes).forEach((node) => {
+            if (!isShell(node)) {
+                body.insertBefore(document.importNode(node, true), anchor);
             }
         });
+        
+        // Page body classes (e.g. has-navbar), keeping the running transition
+        const transitionClasses = ['page-transition', 'page-leaving'].filter(name => body.classList.contains(name));
+        body.className = doc.body.className;
+        body.classList.add(...transitionClasses);
     }
     
     /**
-     * Handle link click
+     * Run the new page's scripts in order: each external script loads once, inline ones once per page
      */
-    handleLinkClick(link) {
-        const href = link.getAttribute('href');
+    async runPageScripts(doc, target, page) {
+        const scripts = Array.from(doc.querySelectorAll('script'));
         
-        if (href.startsWith('#')) {
-            this.scrollToSection(href);
-        } else if (href.startsWith('./') || href.startsWith('/')) {
-            // Navigate to other pages
-            window.location.href = href;
+        for (const script of scripts) {
+            const src = script.getAttribute('src');
+            
+            if (src) {
+                const url = new URL(src, target.href).href;
+                if (!Array.from(document.scripts).some(existing => existing.src === url)) {
+                    await this.loadScript(url);
+                }
+            } else {
+                const key = `${page}:${script.textContent}`;
+                if (!this.executedInlineScripts.has(key)) {
+                    this.executedInlineScripts.add(key);
+                    
+                    const element = document.createElement('script');
+                    element.textContent = script.textContent;
+                    document.body.appendChild(element);
+                }
+            }
         }
     }
     
     /**
-     * Get current page
+     * Record the inline scripts a document already ran
      */
-    getCurrentPage() {
-        const path = window.location.pathname;
-        const page = path.split('/').pop().split('.')[0];
-        return page || 'home';
+    rememberInlineScripts(doc, page) {
+        doc.querySelectorAll('script:not([src])').forEach((script) => {
+            this.executedInlineScripts.add(`${page}:${script.textContent}`);
+        });
     }
     
     /**
-     * Update navigation for current page
+     * Load an external script; resolves (with a warning) even if it fails
      */
-    updateForCurrentPage() {
-        const currentPage = this.getCurrentPage();
+    loadScript(src) {
+        return new Promise((resolve) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                console.warn(`Could not load ${src}`);
+                resolve();
+            };
+            document.body.appendChild(script);
+        });
+    }
+    
+    /**
+     * Run the page's mount hook
+     */
+    mountPage(page = SiteMap.getPageName()) {
+        const hooks = pageHooks.get(page);
+        this.mountedPage = page;
         
-        // Update active states based on current page
-        this.navLinks.forEach(link => {
-            link.classList.remove('active');
-            const linkPage = link.getAttribute('href').replace('./', '').replace('.html', '');
-            if (linkPage === currentPage || (currentPage === 'index' && linkPage === 'home')) {
-                link.classList.add('active');
+        if (hooks && hooks.mount) {
+            try {
+                hooks.mount();
+            } catch (error) {
+                console.error(`Mounting ${page} failed:`, error);
+            }
+        }
+        
+        window.dispatchEvent(new CustomEvent('pagechange', { detail: { page } }));
+    }
+    
+    /**
+     * Run the current page's unmount hook
+     */
+    unmountPage() {
+        const hooks = pageHooks.get(this.mountedPage);
+        
+        if (hooks && hooks.unmount) {
+            try {
+                hooks.unmount();
+            } catch (error) {
+                console.error(`Unmounting ${this.mountedPage} failed:`, error);
             }
+        }
+        
+        this.mountedPage = null;
+    }
+    
+    /**
+     * Ctrl+K / ⌘K toggles the site search
+     */
+    setupCommandPalette() {
+        if (typeof CommandPalette === 'undefined' || !this.siteMap) {
+            return;
+        }
+        
+        this.commandPalette = new CommandPalette({
+            loadItems: () => this.buildSearchIndex(),
+            onSelect: item => this.openSearchResult(item)
         });
         
-        this.sidebarLinks.forEach(link => {
-            link.classList.remove('active');
-            const linkPage = link.getAttribute('href').replace('./', '').replace('.html', '');
-            if (linkPage === currentPage || (currentPage === 'index' && linkPage === 'home')) {
-                link.classList.add('active');
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                this.closeSidebarMenu();
+                this.commandPalette.toggle();
+            }
+        });
+    }
+    
+    /**
+     * Search items, built in the browser: site map pages, every page's sections, project cards
+     * and contact links (fetched through the router's cache), journey milestones and hero roles
+     */
+    async buildSearchIndex() {
+        const items = [];
+        const seen = new Map();
+        const add = (item) => {
+            const key = item.external ? item.href : `${item.type}|${item.href}|${item.title}`;
+            const existing = seen.get(key);
+            
+            // Same result from two sources: keep one, with both sets of keywords
+            if (existing) {
+                existing.keywords = `${existing.keywords || ''} ${item.keywords || ''}`.trim();
+                return;
+            }
+            
+            seen.set(key, item);
+            items.push(item);
+        };
+        
+        const pages = new Map(); // Page name -> { href, label }
+        this.siteMap.routes.forEach(({ entry, trail, page, hash }) => {
+            add({
+                type: hash ? 'Section' : 'Page',
+                title: entry.label,
+                subtitle: trail.slice(0, -1).map(parent => parent.label).join(' › '),
+                href: entry.href
+            });
+            if (!hash && !pages.has(page)) {
+                pages.set(page, { href: entry.href, label: entry.label });
+            }
+        });
+        
+        this.siteMap.external.forEach(({ entry }) => {
+            add({ type: 'Link', title: entry.label, subtitle: entry.href, href: entry.href, external: true });
+        });
+        
+        for (const [page, { href, label }] of pages) {
+            const url = new URL(href, window.location.href);
+            let doc = null;
+            
+            if (page === SiteMap.getPageName()) {
+                doc = document;
+            } else if (this.isRoutable(url)) {
+                doc = await this.fetchPage(url.href).catch(() => null); // Skipped when offline
+            }
+            
+            if (doc) {
+                this.indexDocument(doc, href.split('#')[0], label, add);
+            }
+        }
+        
+        await this.loadSearchData();
+        const root = this.siteMap.root ? this.siteMap.root.href : 'index.html';
+        
+        if (typeof loadJourneyEntries !== 'undefined') {
+            const journey = pages.get('journey');
+            const { entries } = await loadJourneyEntries();
+            entries.forEach((milestone) => {
+                add({
+                    type: 'Milestone',
+                    title: `${milestone.year} · ${milestone.title}`,
+                    subtitle: milestone.tags.join(', '),
+                    keywords: milestone.description,
+                    href: `${journey ? journey.href : 'journey.html'}#${milestone.id}`
+                });
+            });
+        }
+        
+        if (typeof HERO_ROLES !== 'undefined') {
+            HERO_ROLES.forEach((role) => {
+                add({ type: 'Role', title: role.text, subtitle: "And I'm a ...", href: root });
+            });
+        }
+        
+        console.log(`Search index built: ${items.length} items`);
+        return items;
+    }
+    
+    /**
+     * Index one page: its title, section[id] headings, project cards and contact methods
+     */
+    indexDocument(doc, pageHref, pageLabel, add) {
+        const description = doc.querySelector('meta[name="description"]');
+        add({
+            type: 'Page',
+            title: pageLabel,
+            subtitle: '',
+            keywords: `${doc.title} ${description ? description.content : ''}`,
+            href: pageHref
+        });
+        
+        doc.querySelectorAll('section[id]').forEach((section) => {
+            const heading = section.querySelector('h1, h2, h3');
+            if (heading) {
+                add({ type: 'Section', title: heading.textContent.trim(), subtitle: pageLabel, href: `${pageHref}#${section.id}` });
+            }
+        });
+        
+        doc.querySelectorAll('.project-card').forEach((card) => {
+            const title = card.querySelector('.project-title');
+            const description = card.querySelector('.project-description');
+            const anchor = card.id ? card : card.closest('[id]');
+            if (!title) return;
+            
+            add({
+                type: 'Project',
+                title: title.textContent.trim(),
+                subtitle: Array.from(card.querySelectorAll('.tech-tag')).map(tag => tag.textContent.trim()).join(', '),
+                keywords: description ? description.textContent.trim() : '',
+                href: anchor ? `${pageHref}#${anchor.id}` : pageHref
+            });
+        });
+        
+        doc.querySelectorAll('a.contact-method').forEach((link) => {
+            const title = link.querySelector('h3');
+            const detail = link.querySelector('p');
+            add({
+                type: 'Contact',
+                title: title ? title.textContent.trim() : link.textContent.trim(),
+                subtitle: detail ? detail.textContent.trim() : '',
+                href: link.getAttribute('href'),
+                external: link.target === '_blank'
+            });
+        });
+    }
+    
+    /**
+     * Load the scripts that hold milestone and role data when this page has not
+     */
+    async loadSearchData() {
+        if (typeof loadJourneyEntries === 'undefined') {
+            await this.loadScript(SEARCH_DATA_SCRIPTS.milestones);
+        }
+        if (typeof HERO_ROLES === 'undefined') {
+            await this.loadScript(SEARCH_DATA_SCRIPTS.roles);
+        }
+    }
+    
+    /**
+     * Go to a search result: a section here, another page (in place when possible) or an external link
+     */
+    openSearchResult(item) {
+        if (item.external) {
+            window.open(item.href, '_blank', 'noopener');
+            return;
+        }
+        
+        const url = new URL(item.href, window.location.href);
+        
+        if (url.origin === window.location.origin && url.pathname === window.location.pathname) {
+            if (url.hash) {
+                this.goToHash(url.hash);
+            } else {
+                window.scrollTo({ top: 0, behavior: 'smooth' });
+            }
+        } else if (this.isRoutable(url)) {
+            // Targets built by the page's mount hook (timeline cards) exist only once navigate() settles
+            this.navigate(url.href).then(() => {
+                if (url.hash) {
+                    this.scrollToSection(url.hash, 'auto');
+                }
+            });
+        } else {
+            window.location.href = url.href;
+        }
+    }
+    
+    /**
+     * Site map route of the current page (the hash is left to the scroll spy)
+     */
+    getCurrentRoute() {
+        if (!this.siteMap) return null;
+        return this.siteMap.resolve(window.location.pathname + window.location.search);
+    }
+    
+    /**
+     * Update navigation for current page: active links, breadcrumbs, section links
+     */
+    updateForCurrentPage() {
+        const route = this.getCurrentRoute();
+        const trail = route ? route.trail : [];
+        
+        // Active: the route and its ancestors; aria-current marks the page itself
+        this.entryLinks.forEach((links, entry) => {
+            links.forEach((link) => {
+                link.classList.toggle('active', trail.includes(entry));
+                if (route && entry === route.entry) {
+                    link.setAttribute('aria-current', 'page');
+                } else {
+                    link.removeAttribute('aria-current');
+                }
+            });
+        });
+        
+        this.renderBreadcrumbs(route);
+        this.closeDropdowns();
+        this.indexSectionLinks();
+    }
+    
+    /**
+     * Home › ... › current page; hidden on Home itself
+     */
+    renderBreadcrumbs(route) {
+        if (!this.breadcrumbs) return;
+        
+        const crumbs = this.siteMap.getBreadcrumbs(route);
+        const list = document.createElement('ol');
+        list.className = 'breadcrumb-list';
+        
+        crumbs.forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.className = 'breadcrumb-item';
+            
+            if (index === crumbs.length - 1) {
+                const current = document.createElement('span');
+                current.setAttribute('aria-current', 'page');
+                current.textContent = entry.label;
+                item.appendChild(current);
+            } else {
+                const link = document.createElement('a');
+                link.setAttribute('href', entry.href);
+                link.textContent = entry.label;
+                item.appendChild(link);
             }
+            
+            list.appendChild(item);
         });
+        
+        this.breadcrumbs.replaceChildren(list);
+        this.breadcrumbs.hidden = crumbs.length < 2;
     }
 }
 
@@ -308,6 +1356,7 @@ class NavigationSystem {
 document.addEventListener('DOMContentLoaded', () => {
     window.navigationSystem = new NavigationSystem();
     window.navigationSystem.updateForCurrentPage();
+    window.navigationSystem.mountPage();
 });
 
 /**
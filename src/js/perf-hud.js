@@ -0,0 +1,162 @@
+/**
+ * PERFORMANCE HUD
+ * Eva Qi Portfolio - Developer Overlay (?debug=perf)
+ * 
+ * FEATURES:
+ * - FPS and smoothed frame time from the renderer's quality governor
+ * - Frame-time graph with the quality governor's budget line
+ * - renderer.info draw calls, triangles, geometries, textures
+ * - Render-target sizes, JS heap usage, device capabilities
+ * - Renderer view state (zoom, rotation, ...)
+ * 
+ * A renderer opts in by exposing getDebugInfo(), with its quality
+ * governor's getStats() as `quality`; the governor times the frames.
+ */
+
+class PerformanceHUD {
+    /**
+     * Whether the page URL asks for the HUD (?debug=perf, also ?debug=perf,other)
+     */
+    static isRequested(search = window.location.search) {
+        return new URLSearchParams(search).getAll('debug')
+            .some(value => value.split(',').includes('perf'));
+    }
+    
+    constructor(target, options = {}) {
+        this.target = target;
+        this.historySize = options.historySize || 120;
+        this.refreshInterval = options.refreshInterval || 250;
+        
+        this.createElements();
+        this.timer = setInterval(() => this.update(), this.refreshInterval);
+        this.update();
+        
+        console.log('Performance HUD enabled');
+    }
+    
+    /**
+     * Build the overlay: graph canvas above a text block
+     */
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.className = 'perf-hud';
+        this.element.setAttribute('aria-hidden', 'true');
+        this.element.style.cssText = [
+            'position: fixed',
+            'top: 8px',
+            'left: 8px',
+            'z-index: 10000',
+            'padding: 8px',
+            'background: rgba(0, 0, 0, 0.75)',
+            'color: #9effa0',
+            'font: 11px/1.4 monospace',
+            'border-radius: 4px',
+            'pointer-events: none',
+            'max-height: calc(100vh - 16px)',
+            'overflow: hidden'
+        ].join(';');
+        
+        this.graph = document.createElement('canvas');
+        this.graph.width = this.historySize * 2;
+        this.graph.height = 48;
+        this.graph.style.display = 'block';
+        this.graphContext = this.graph.getContext('2d');
+        
+        this.text = document.createElement('pre');
+        this.text.style.margin = '6px 0 0';
+        
+        this.element.appendChild(this.graph);
+        this.element.appendChild(this.text);
+        document.body.appendChild(this.element);
+    }
+    
+    /**
+     * Refresh text and graph
+     */
+    update() {
+        const info = this.target.getDebugInfo();
+        const lines = [];
+        
+        if (info.quality) {
+            lines.push(`FPS        ${info.quality.fps.toFixed(0)}`);
+            lines.push(`frame      ${info.quality.averageFrameTime.toFixed(1)} ms (budget ${info.quality.budget.toFixed(1)})`);
+            lines.push(`quality    ${info.quality.tier}${info.quality.locked ? ' (locked)' : ''}`);
+        }
+        
+        const render = info.renderer;
+        lines.push(`calls      ${render.calls}   triangles ${render.triangles}`);
+        lines.push(`lines      ${render.lines}   points ${render.points}`);
+        lines.push(`geometries ${render.geometries}   textures ${render.textures}   programs ${render.programs}`);
+        lines.push(`canvas     ${info.canvas.width}x${info.canvas.height} @${info.pixelRatio.toFixed(2)}x`);
+        
+        (info.renderTargets || []).forEach(target => {
+            lines.push(`rt ${target.name.padEnd(8)}${target.width}x${target.height}`);
+        });
+        
+        lines.push(`heap       ${this.formatHeap()}`);
+        
+        Object.entries(info.view || {}).forEach(([key, value]) => {
+            lines.push(`${key.padEnd(11)}${this.formatValue(value)}`);
+        });
+        
+        const device = window.deviceCapabilities || (window.deviceDetector && window.deviceDetector.getDeviceCapabilities());
+        if (device) {
+            lines.push('device');
+            Object.entries(device).forEach(([key, value]) => {
+                lines.push(`  ${key.padEnd(15)}${this.formatValue(value)}`);
+            });
+        }
+        
+        this.text.textContent = lines.join('\n');
+        if (info.quality) {
+            this.drawGraph(info.quality.frameTimes.slice(-this.historySize), info.quality.budget);
+        }
+    }
+    
+    /**
+     * Bar graph of recent frame times; red above budget
+     */
+    drawGraph(frameTimes, budget) {
+        const context = this.graphContext;
+        const { width, height } = this.graph;
+        const maxTime = Math.max(budget * 2, ...frameTimes);
+        const barWidth = width / this.historySize;
+        
+        context.clearRect(0, 0, width, height);
+        
+        frameTimes.forEach((time, index) => {
+            const barHeight = (time / maxTime) * height;
+            context.fillStyle = time > budget ? '#ff6b6b' : '#9effa0';
+            context.fillRect(index * barWidth, height - barHeight, barWidth, barHeight);
+        });
+        
+        const budgetY = height - (budget / maxTime) * height;
+        context.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        context.fillRect(0, budgetY, width, 1);
+    }
+    
+    /**
+     * Used / limit JS heap in MB (Chromium only)
+     */
+    formatHeap() {
+        const memory = performance.memory;
+        if (!memory) {
+            return 'n/a';
+        }
+        
+        const toMB = bytes => (bytes / 1024 / 1024).toFixed(1);
+        return `${toMB(memory.usedJSHeapSize)} / ${toMB(memory.jsHeapSizeLimit)} MB`;
+    }
+    
+    formatValue(value) {
+        return typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(3) : String(value);
+    }
+    
+    /**
+     * Stop refreshing and remove the overlay
+     */
+    destroy() {
+        clearInterval(this.timer);
+        this.element.remove();
+    }
+}
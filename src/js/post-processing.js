@@ -0,0 +1,240 @@
+/**
+ * POST-PROCESSING PIPELINE
+ * Eva Qi Portfolio - Pluggable Screen-Space Passes
+ * 
+ * FEATURES:
+ * - Ordered chain of full-screen shader passes
+ * - addPass / removePass / setEnabled at runtime
+ * - Ping-pong render targets between passes
+ * - Last enabled pass always draws to the screen
+ * - dispose() frees every pass and intermediate target
+ * 
+ * USAGE:
+ *   window.portfolioRenderer.postProcessing.addPass(new ShaderPass('vignette', {
+ *       uniforms: { uStrength: { value: 0.4 } },
+ *       fragmentShader: `...` // reads tDiffuse, writes gl_FragColor
+ *   }));
+ */
+
+const DEFAULT_PASS_VERTEX_SHADER = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+/**
+ * Full-screen shader pass
+ * 
+ * Uniforms the pipeline fills in when the shader declares them:
+ * - tDiffuse: output of the previous pass (main scene for the first pass)
+ * - uMainTexture / uWireframeTexture: the scene render targets
+ * - uResolution: pipeline size, CSS pixels × the quality tier's renderTargetScale (no devicePixelRatio)
+ * - uTime: elapsed seconds
+ */
+class ShaderPass {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.enabled = options.enabled !== false;
+        this.uniforms = options.uniforms || {};
+        
+        this.material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader: options.vertexShader || DEFAULT_PASS_VERTEX_SHADER,
+            fragmentShader: options.fragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+        
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.scene = new THREE.Scene();
+        this.scene.add(this.quad);
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    }
+    
+    /**
+     * Update size-dependent uniforms
+     */
+    setSize(width, height) {
+        if (this.uniforms.uResolution) {
+            this.uniforms.uResolution.value.set(width, height);
+        }
+    }
+    
+    /**
+     * Draw the pass into outputTarget (null = screen)
+     */
+    render(renderer, inputTexture, outputTarget, context) {
+        if (this.uniforms.tDiffuse) {
+            this.uniforms.tDiffuse.value = inputTexture;
+        }
+        if (this.uniforms.uMainTexture) {
+            this.uniforms.uMainTexture.value = context.mainTexture;
+        }
+        if (this.uniforms.uWireframeTexture) {
+            this.uniforms.uWireframeTexture.value = context.wireframeTexture;
+        }
+        if (this.uniforms.uTime) {
+            this.uniforms.uTime.value = context.time;
+        }
+        
+        renderer.setRenderTarget(outputTarget);
+        renderer.render(this.scene, this.camera);
+    }
+    
+    /**
+     * Free the quad geometry and shader program
+     */
+    dispose() {
+        this.quad.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+/**
+ * Ordered chain of post-processing passes
+ */
+class PostProcessingPipeline {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.passes = [];
+        
+        // Ping-pong targets, created on first use with more than one pass
+        this.readTarget = null;
+        this.writeTarget = null;
+        
+        // Used when every pass is disabled so the scene still reaches the screen
+        this.copyPass = new ShaderPass('copy', {
+            uniforms: { tDiffuse: { value: null } },
+            fragmentShader: `
+                uniform sampler2D tDiffuse;
+                varying vec2 vUv;
+                void main() {
+                    gl_FragColor = texture2D(tDiffuse, vUv);
+                }
+            `
+        });
+    }
+    
+    /**
+     * Insert a pass; appended to the end unless an index is given
+     */
+    addPass(pass, index = this.passes.length) {
+        if (this.getPass(pass.name)) {
+            throw new Error(`Post-processing pass "${pass.name}" already exists`);
+        }
+        
+        pass.setSize(this.width, this.height);
+        this.passes.splice(index, 0, pass);
+        return pass;
+    }
+    
+    /**
+     * Remove a pass by name or instance
+     */
+    removePass(passOrName) {
+        const index = this.passes.findIndex(pass => pass === passOrName || pass.name === passOrName);
+        if (index === -1) {
+            return null;
+        }
+        
+        return this.passes.splice(index, 1)[0];
+    }
+    
+    /**
+     * Enable or disable a pass without removing it
+     */
+    setEnabled(name, enabled) {
+        const pass = this.getPass(name);
+        if (pass) {
+            pass.enabled = enabled;
+        }
+    }
+    
+    /**
+     * Find a pass by name
+     */
+    getPass(name) {
+        return this.passes.find(pass => pass.name === name) || null;
+    }
+    
+    /**
+     * Resize intermediate targets and notify passes
+     */
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+        
+        if (this.readTarget) {
+            this.readTarget.setSize(width, height);
+            this.writeTarget.setSize(width, height);
+        }
+        
+        this.passes.forEach(pass => pass.setSize(width, height));
+    }
+    
+    /**
+     * Create ping-pong targets on demand
+     */
+    ensureTargets() {
+        if (this.readTarget) return;
+        
+        const renderTargetParams = {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat,
+            stencilBuffer: false
+        };
+        
+        this.readTarget = new THREE.WebGLRenderTarget(this.width, this.height, renderTargetParams);
+        this.writeTarget = new THREE.WebGLRenderTarget(this.width, this.height, renderTargetParams);
+    }
+    
+    /**
+     * Free every pass still in the chain and the intermediate targets
+     */
+    dispose() {
+        this.passes.forEach(pass => pass.dispose());
+        this.passes = [];
+        this.copyPass.dispose();
+        
+        if (this.readTarget) {
+            this.readTarget.dispose();
+            this.writeTarget.dispose();
+            this.readTarget = null;
+            this.writeTarget = null;
+        }
+    }
+    
+    /**
+     * Run every enabled pass in order, the last one onto the screen
+     */
+    render(renderer, context) {
+        const activePasses = this.passes.filter(pass => pass.enabled);
+        
+        if (activePasses.length === 0) {
+            this.copyPass.render(renderer, context.mainTexture, null, context);
+            return;
+        }
+        
+        if (activePasses.length > 1) {
+            this.ensureTargets();
+        }
+        
+        let inputTexture = context.mainTexture;
+        
+        activePasses.forEach((pass, index) => {
+            const isLast = index === activePasses.length - 1;
+            const outputTarget = isLast ? null : this.writeTarget;
+            
+            pass.render(renderer, inputTexture, outputTarget, context);
+            
+            if (!isLast) {
+                inputTexture = this.writeTarget.texture;
+                [this.readTarget, this.writeTarget] = [this.writeTarget, this.readTarget];
+            }
+        });
+    }
+}
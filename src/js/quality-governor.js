@@ -0,0 +1,198 @@
+/**
+ * ADAPTIVE QUALITY GOVERNOR
+ * Eva Qi Portfolio - Frame-Time Driven Quality Tiers
+ * 
+ * FEATURES:
+ * - Takes frame timestamps; only back-to-back frames count as frame times
+ * - Smoothed frame time, frames per second and a short frame-time history
+ * - Steps down a tier when frames stay over budget
+ * - Steps back up after a longer stretch of headroom
+ * - Current tier and stats readable for debugging
+ * 
+ * USAGE:
+ *   const governor = new QualityGovernor({ onChange: tier => applyTier(tier) });
+ *   governor.frame(now, animating); // once per drawn frame; animating = another frame follows
+ *   governor.tier.name;             // 'low' | 'medium' | 'high'
+ */
+
+/**
+ * Quality tiers, lowest first
+ * 
+ * - maxPixelRatio: cap on top of the renderer profile's own cap
+ * - renderTargetScale: fraction of the canvas size used for offscreen targets
+ * - segmentScale: multiplier for text curveSegments / bevelSegments
+ * - particleScale: fraction of particles drawn
+ */
+const QUALITY_TIERS = [
+    { name: 'low', maxPixelRatio: 1, renderTargetScale: 0.5, segmentScale: 0.35, particleScale: 0.25 },
+    { name: 'medium', maxPixelRatio: 1.5, renderTargetScale: 0.75, segmentScale: 0.6, particleScale: 0.5 },
+    { name: 'high', maxPixelRatio: Infinity, renderTargetScale: 1, segmentScale: 1, particleScale: 1 }
+];
+
+const DEFAULT_GOVERNOR_OPTIONS = {
+    initialTier: 'high',
+    budget: 1000 / 50, // ms; sustained frames slower than 50 fps step down
+    headroom: 0.85, // Average below budget * headroom counts as spare capacity
+    downshiftAfter: 1500, // ms over budget before stepping down
+    upshiftAfter: 6000, // ms of headroom before stepping up (doubles after each step down)
+    maxUpshiftAfter: 60000,
+    smoothing: 0.1, // Moving-average weight of the newest frame
+    maxFrameGap: 250, // Longer gaps (sleeping, tab switch) are not frame times
+    historySize: 120, // Recent frame times kept for the performance HUD
+    locked: false // Fixed tier, no automatic changes
+};
+
+class QualityGovernor {
+    constructor(options = {}) {
+        this.options = Object.assign({}, DEFAULT_GOVERNOR_OPTIONS, options);
+        this.tiers = this.options.tiers || QUALITY_TIERS;
+        this.tierIndex = this.findTier(this.options.initialTier);
+        this.onChange = this.options.onChange || null;
+        
+        this.averageFrameTime = 0;
+        this.overBudgetTime = 0;
+        this.headroomTime = 0;
+        this.sampleCount = 0;
+        this.upshiftDelay = this.options.upshiftAfter;
+        
+        // Frame timestamps
+        this.lastFrameTime = 0;
+        this.continuing = false; // The previous frame asked for another one
+        this.frameTimes = [];
+        this.frameCount = 0;
+        this.fpsWindowStart = null;
+        this.fps = 0; // Frames drawn over the last second
+    }
+    
+    /**
+     * Current tier settings
+     */
+    get tier() {
+        return this.tiers[this.tierIndex];
+    }
+    
+    /**
+     * Index of a tier by name (or index), highest tier when unknown
+     */
+    findTier(nameOrIndex) {
+        if (typeof nameOrIndex === 'number') {
+            return Math.max(0, Math.min(this.tiers.length - 1, nameOrIndex));
+        }
+        
+        const index = this.tiers.findIndex(tier => tier.name === nameOrIndex);
+        return index === -1 ? this.tiers.length - 1 : index;
+    }
+    
+    /**
+     * Timestamp a drawn frame; only back-to-back frames are real frame times,
+     * so the first frame after the loop slept is counted but not judged
+     */
+    frame(now, continues) {
+        if (this.continuing) {
+            const delta = now - this.lastFrameTime;
+            this.frameTimes.push(delta);
+            if (this.frameTimes.length > this.options.historySize) {
+                this.frameTimes.shift();
+            }
+            this.recordFrame(delta);
+        }
+        this.continuing = continues;
+        this.lastFrameTime = now;
+        this.frameCount++;
+        
+        if (this.fpsWindowStart === null) {
+            this.fpsWindowStart = now;
+        } else if (now - this.fpsWindowStart >= 1000) {
+            this.fps = (this.frameCount * 1000) / (now - this.fpsWindowStart);
+            this.frameCount = 0;
+            this.fpsWindowStart = now;
+        }
+    }
+    
+    /**
+     * The loop stopped mid-animation (e.g. context loss): the next frame starts fresh
+     */
+    pause() {
+        this.continuing = false;
+    }
+    
+    /**
+     * Feed the time since the previous animation frame
+     */
+    recordFrame(delta) {
+        if (!(delta > 0) || delta > this.options.maxFrameGap) {
+            return;
+        }
+        
+        const { smoothing, budget, headroom } = this.options;
+        this.averageFrameTime = this.sampleCount === 0
+            ? delta
+            : this.averageFrameTime + (delta - this.averageFrameTime) * smoothing;
+        this.sampleCount++;
+        
+        if (this.options.locked) return;
+        
+        if (this.averageFrameTime > budget) {
+            this.overBudgetTime += delta;
+            this.headroomTime = 0;
+        } else if (this.averageFrameTime < budget * headroom) {
+            this.headroomTime += delta;
+            this.overBudgetTime = 0;
+        } else {
+            this.overBudgetTime = 0;
+            this.headroomTime = 0;
+        }
+        
+        if (this.overBudgetTime >= this.options.downshiftAfter && this.tierIndex > 0) {
+            // Back off so a tier that cannot hold its budget is not retried every few seconds
+            this.upshiftDelay = Math.min(this.upshiftDelay * 2, this.options.maxUpshiftAfter);
+            this.changeTier(this.tierIndex - 1, 'over budget');
+        } else if (this.headroomTime >= this.upshiftDelay && this.tierIndex < this.tiers.length - 1) {
+            this.changeTier(this.tierIndex + 1, 'headroom');
+        }
+    }
+    
+    /**
+     * Force a tier; locks automatic changes unless `lock` is false
+     */
+    setTier(nameOrIndex, lock = true) {
+        this.options.locked = lock;
+        this.changeTier(this.findTier(nameOrIndex), 'manual');
+    }
+    
+    /**
+     * Switch tiers and restart measurement
+     */
+    changeTier(index, reason) {
+        this.overBudgetTime = 0;
+        this.headroomTime = 0;
+        
+        if (index === this.tierIndex) return;
+        
+        this.tierIndex = index;
+        
+        // The new tier needs fresh samples before being judged
+        this.sampleCount = 0;
+        
+        console.log(`Quality tier: ${this.tier.name} (${reason}, ${this.averageFrameTime.toFixed(1)} ms/frame)`);
+        
+        if (this.onChange) {
+            this.onChange(this.tier);
+        }
+    }
+    
+    /**
+     * Snapshot for debugging
+     */
+    getStats(now = performance.now()) {
+        return {
+            tier: this.tier.name,
+            averageFrameTime: this.averageFrameTime,
+            // Sleeping counts as zero frames per second
+            fps: now - this.lastFrameTime > 1000 ? 0 : this.fps,
+            frameTimes: this.frameTimes.slice(),
+            budget: this.options.budget,
+            locked: this.options.locked
+        };
+    }
+}
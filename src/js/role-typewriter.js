@@ -0,0 +1,101 @@
+/**
+ * ROLE TYPEWRITER
+ * Eva Qi Portfolio - "And I'm a ..." Role Cycling
+ * 
+ * FEATURES:
+ * - Types each role into .dynamic-role .role-text, then moves to the next
+ * - stop() cancels a running loop (timers included)
+ * - showStatic() lists every role at once for reduced motion
+ * 
+ * Shared by the 3D hero and the non-WebGL fallback hero.
+ */
+
+const HERO_ROLES = [
+    { text: 'Developer', class: 'role-developer' },
+    { text: 'Quant Researcher', class: 'role-researcher' },
+    { text: 'Artist', class: 'role-artist' },
+    { text: 'Educator', class: 'role-educator' },
+    { text: 'Entrepreneur', class: 'role-entrepreneur' },
+    { text: 'Wine Connoisseur', class: 'role-connoisseur' }
+];
+
+class RoleTypewriter {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.roles = options.roles || HERO_ROLES;
+        this.typingSpeed = options.typingSpeed || 80;
+        this.displayTime = options.displayTime || 2500;
+        this.shouldContinue = options.shouldContinue || (() => true); // Checked before each next role
+        
+        this.currentIndex = 0;
+        this.isTyping = false;
+        this.run = 0; // Bumped to cancel a running loop
+        this.timer = null;
+    }
+    
+    /**
+     * Type the current role, then continue with the next while shouldContinue() holds
+     */
+    start() {
+        if (this.isTyping || !this.element) return;
+        
+        this.isTyping = true;
+        this.element.classList.remove('static-roles');
+        const run = this.run;
+        const currentRole = this.roles[this.currentIndex];
+        const targetText = currentRole.text;
+        
+        const roleTextElement = this.element.querySelector('.role-text');
+        roleTextElement.className = `role-text ${currentRole.class} typing active`;
+        roleTextElement.textContent = '';
+        
+        let charIndex = 0;
+        const typeChar = () => {
+            if (run !== this.run) return; // Cancelled
+            
+            if (charIndex <= targetText.length) {
+                roleTextElement.textContent = targetText.substring(0, charIndex);
+                charIndex++;
+                this.timer = setTimeout(typeChar, this.typingSpeed);
+            } else {
+                roleTextElement.classList.remove('typing');
+                
+                this.timer = setTimeout(() => {
+                    if (run !== this.run) return;
+                    
+                    this.currentIndex = (this.currentIndex + 1) % this.roles.length;
+                    this.isTyping = false;
+                    
+                    if (this.shouldContinue()) {
+                        this.start();
+                    }
+                }, this.displayTime);
+            }
+        };
+        
+        typeChar();
+    }
+    
+    /**
+     * Cancel the loop
+     */
+    stop() {
+        this.run++;
+        this.isTyping = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    
+    /**
+     * Reduced motion: every role at once, no typing
+     */
+    showStatic() {
+        this.stop();
+        if (!this.element) return;
+        
+        const roleTextElement = this.element.querySelector('.role-text');
+        this.element.classList.add('static-roles');
+        roleTextElement.className = 'role-text active';
+        roleTextElement.textContent = this.roles.map(role => role.text).join(' · ');
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * SCROLL SPY
+ * Eva Qi Portfolio - Active Section Tracking
+ * 
+ * FEATURES:
+ * - IntersectionObserver instead of per-scroll layout reads
+ * - Activation band below the navbar, configurable through rootMargin
+ * - Nested sections: the innermost one in the band wins
+ * - The last section activates at the page bottom, however short it is
+ * - Emits 'sectionchange' on window ({ id, section, previousId })
+ * 
+ * USAGE:
+ *   const spy = new ScrollSpy({ offsetTop: () => navbar.offsetHeight });
+ *   window.addEventListener('sectionchange', e => console.log(e.detail.id));
+ *   spy.refresh(); // after the page content changes
+ */
+
+const DEFAULT_SCROLL_SPY_OPTIONS = {
+    selector: 'section[id]',
+    rootMargin: null, // e.g. '-80px 0px -60% 0px'; derived from offsetTop and activationLine when null
+    offsetTop: () => 0, // px covered at the top (fixed navbar), re-read on refresh and resize
+    activationLine: 0.4 // Band reaches this fraction of the viewport height
+};
+
+class ScrollSpy {
+    constructor(options = {}) {
+        this.options = Object.assign({}, DEFAULT_SCROLL_SPY_OPTIONS, options);
+        this.sections = [];
+        this.inBand = new Set();
+        this.atBottom = false;
+        this.activeSection = null;
+        this.activeId = null; // Kept across refreshes so the next change reports it as previousId
+        this.observer = null;
+        this.bottomObserver = null;
+        this.sentinel = null;
+        this.resizeTimeout = null;
+        
+        window.addEventListener('resize', () => {
+            clearTimeout(this.resizeTimeout);
+            this.resizeTimeout = setTimeout(() => this.refresh(), 200);
+        });
+        
+        this.refresh();
+    }
+    
+    /**
+     * rootMargin of the activation band
+     */
+    getRootMargin() {
+        if (this.options.rootMargin) {
+            return this.options.rootMargin;
+        }
+        
+        const top = Math.round(this.options.offsetTop());
+        const bottom = Math.round((1 - this.options.activationLine) * 100);
+        return `-${top}px 0px -${bottom}% 0px`;
+    }
+    
+    /**
+     * Change the band at runtime
+     */
+    setRootMargin(rootMargin) {
+        this.options.rootMargin = rootMargin;
+        this.refresh();
+    }
+    
+    /**
+     * Re-collect sections and restart observing (page content or layout changed)
+     */
+    refresh() {
+        this.disconnect();
+        
+        if (!('IntersectionObserver' in window)) return;
+        
+        this.sections = Array.from(document.querySelectorAll(this.options.selector));
+        this.inBand.clear();
+        this.atBottom = false;
+        
+        // Forget sections that left with the old page
+        if (this.activeSection && !this.sections.includes(this.activeSection)) {
+            this.activeSection = null;
+        }
+        
+        if (this.sections.length === 0) return;
+        
+        this.observer = new IntersectionObserver(
+            entries => this.onIntersection(entries),
+            { rootMargin: this.getRootMargin() }
+        );
+        this.sections.forEach(section => this.observer.observe(section));
+        
+        // Zero-height marker after the content: visible means scrolled to the bottom
+        this.sentinel = document.createElement('div');
+        this.sentinel.setAttribute('aria-hidden', 'true');
+        this.sentinel.style.cssText = 'height: 1px; margin-top: -1px; pointer-events: none;';
+        document.body.appendChild(this.sentinel);
+        
+        this.bottomObserver = new IntersectionObserver((entries) => {
+            this.atBottom = entries[entries.length - 1].isIntersecting;
+            this.update();
+        });
+        this.bottomObserver.observe(this.sentinel);
+    }
+    
+    /**
+     * Track which sections are inside the band
+     */
+    onIntersection(entries) {
+        entries.forEach((entry) => {
+            if (entry.isIntersecting) {
+                this.inBand.add(entry.target);
+            } else {
+                this.inBand.delete(entry.target);
+            }
+        });
+        
+        this.update();
+    }
+    
+    /**
+     * Pick the active section: the last one at the bottom, else the innermost / latest in the band
+     */
+    update() {
+        let active = null;
+        
+        if (this.atBottom && window.scrollY > 0) {
+            active = this.sections[this.sections.length - 1];
+        } else {
+            // Document order puts children after their parent and later siblings last
+            this.sections.forEach((section) => {
+                if (this.inBand.has(section)) {
+                    active = section;
+                }
+            });
+        }
+        
+        // Between sections (band over a gap) the previous one stays active
+        if (active && active !== this.activeSection) {
+            this.setActive(active);
+        }
+    }
+    
+    /**
+     * Record the new active section and announce it
+     */
+    setActive(section) {
+        const previousId = this.activeId;
+        this.activeSection = section;
+        this.activeId = section.id;
+        
+        window.dispatchEvent(new CustomEvent('sectionchange', {
+            detail: { id: section.id, section, previousId }
+        }));
+    }
+    
+    /**
+     * Stop observing and remove the bottom marker
+     */
+    disconnect() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        
+        if (this.bottomObserver) {
+            this.bottomObserver.disconnect();
+            this.bottomObserver = null;
+        }
+        
+        if (this.sentinel) {
+            this.sentinel.remove();
+            this.sentinel = null;
+        }
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * SITE MAP
+ * Eva Qi Portfolio - Single Navigation Definition
+ * 
+ * FEATURES:
+ * - One list of pages for the navbar, the mobile sidebar and breadcrumbs
+ * - Entries: label, href, icon, children (dropdown / nested links), external
+ * - Resolves a URL to its route: the matching entry and its ancestor trail
+ * 
+ * USAGE:
+ *   const siteMap = new SiteMap();
+ *   const route = siteMap.resolve(window.location.href);
+ *   route.entry.label;                          // 'Send a Message'
+ *   siteMap.getBreadcrumbs(route).map(e => e.label); // ['Home', 'Contact', 'Send a Message']
+ */
+
+const SITE_MAP = [
+    { label: 'Home', href: 'index.html', icon: '🏠' },
+    {
+        label: 'Portfolio',
+        href: 'portfolio.html',
+        icon: '💼',
+        children: [
+            { label: 'Projects', href: 'portfolio.html#projects', icon: '💻' },
+            { label: 'Journey Highlights', href: 'portfolio.html#journey', icon: '✨' }
+        ]
+    },
+    { label: 'Journey', href: 'journey.html', icon: '🧭' },
+    {
+        label: 'Contact',
+        href: 'about.html',
+        icon: '✉️',
+        children: [
+            { label: 'Send a Message', href: 'contact.html', icon: '📝' },
+            { label: 'GitHub', href: 'https://github.com/evanolott', icon: '🐙', external: true },
+            { label: 'LinkedIn', href: 'https://linkedin.com/in/evanolott', icon: '🔗', external: true }
+        ]
+    }
+];
+
+class SiteMap {
+    constructor(entries = SITE_MAP) {
+        this.entries = entries;
+        this.routes = []; // Every internal entry with its page, hash and trail
+        this.external = []; // External entries with their trail
+        this.root = null; // The 'index' entry, first in every breadcrumb trail
+        
+        this.collect(entries, []);
+    }
+    
+    /**
+     * Flatten the tree into routes
+     */
+    collect(entries, ancestors) {
+        entries.forEach((entry) => {
+            const trail = ancestors.concat(entry);
+            
+            if (entry.external) {
+                this.external.push({ entry, trail });
+            } else {
+                const url = new URL(entry.href, window.location.href);
+                const route = { entry, trail, page: SiteMap.getPageName(url.href), hash: url.hash };
+                this.routes.push(route);
+                
+                if (route.page === 'index' && !route.hash && !this.root) {
+                    this.root = entry;
+                }
+            }
+            
+            if (entry.children) {
+                this.collect(entry.children, trail);
+            }
+        });
+    }
+    
+    /**
+     * Route for a URL: same page and hash first, then the page itself, then any entry on that page
+     */
+    resolve(url) {
+        const target = new URL(url, window.location.href);
+        const page = SiteMap.getPageName(target.href);
+        const onPage = this.routes.filter(route => route.page === page);
+        
+        return onPage.find(route => target.hash && route.hash === target.hash) ||
+            onPage.find(route => !route.hash) ||
+            onPage[0] ||
+            null;
+    }
+    
+    /**
+     * Breadcrumb entries for a route, starting at Home
+     */
+    getBreadcrumbs(route) {
+        if (!route) return [];
+        
+        const trail = route.trail.slice();
+        if (this.root && trail[0] !== this.root) {
+            trail.unshift(this.root);
+        }
+        return trail;
+    }
+    
+    /**
+     * Page name of a URL: file name without .html, 'index' for the site root
+     */
+    static getPageName(url = window.location.href) {
+        const path = new URL(url, window.location.href).pathname;
+        return path.split('/').pop().replace(/\.html$/, '') || 'index';
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * TIMELINE LAYOUT
+ * Eva Qi Portfolio - Date-Proportional Timeline Placement
+ * 
+ * FEATURES:
+ * - Vertical positions proportional to start / end dates (pixelsPerYear)
+ * - Long empty stretches capped at maxGap so a decade-old entry does not leave a void
+ * - Span bars for date ranges, in side-by-side lanes when ranges overlap
+ * - Cards packed into one or two columns; a card that would overlap the one above
+ *   pushes its date (and everything after it) down instead of stacking
+ * - Plain computation, no DOM: scales to dozens of entries
+ * 
+ * USAGE:
+ *   const layout = new TimelineLayout({ columns: 2 }).compute(entries, cardHeights);
+ *   layout.items[0]; // { top, bottom, side, lane, laneOffset, spanTop, spanHeight }
+ *   layout.height;   // px the timeline needs
+ */
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+const DEFAULT_TIMELINE_LAYOUT_OPTIONS = {
+    pixelsPerYear: 320,
+    maxGap: 480, // px at most between two consecutive dates
+    columns: 2, // 1 on narrow screens
+    gap: 32, // px between cards in the same column
+    cardHeight: 240, // px assumed for cards that could not be measured
+    laneWidth: 12, // px between concurrent span bars
+    paddingTop: 0,
+    paddingBottom: 0,
+    now: () => Date.now() // End of ongoing entries
+};
+
+class TimelineLayout {
+    constructor(options = {}) {
+        this.options = Object.assign({}, DEFAULT_TIMELINE_LAYOUT_OPTIONS, options);
+    }
+    
+    /**
+     * Place entries ({ start, end, ongoing }, timestamps) given their card heights; items keep the entries' order
+     */
+    compute(entries, heights = []) {
+        const now = this.options.now();
+        const spans = entries.map((entry) => {
+            const end = entry.ongoing ? Math.max(now, entry.start) : entry.end;
+            return { start: entry.start, end: end !== null && end > entry.start ? end : null };
+        });
+        
+        const order = entries.map((entry, index) => index)
+            .sort((a, b) => spans[a].start - spans[b].start || a - b);
+        
+        const base = this.scaleTimes(spans);
+        const { lanes, laneCount } = this.assignLanes(spans, order);
+        
+        const items = new Array(entries.length);
+        const columnBottoms = new Array(this.options.columns).fill(-Infinity);
+        const pushes = []; // { time, offset }: extra px for dates from `time` on
+        let offset = 0;
+        let lastColumn = -1;
+        
+        order.forEach((index) => {
+            const { start } = spans[index];
+            const height = heights[index] || this.options.cardHeight;
+            let top = base.get(start) + offset;
+            
+            const column = this.pickColumn(columnBottoms, top, lastColumn);
+            if (columnBottoms[column] > top) {
+                // No room at this date: move it and every later date down
+                const push = columnBottoms[column] - top;
+                offset += push;
+                top += push;
+                pushes.push({ time: start, offset });
+            }
+            
+            columnBottoms[column] = top + height + this.options.gap;
+            lastColumn = column;
+            
+            items[index] = {
+                top,
+                side: column === 0 ? 'left' : 'right',
+                lane: lanes[index],
+                laneOffset: lanes[index] === null ? 0 : (lanes[index] - (laneCount - 1) / 2) * this.options.laneWidth,
+                spanTop: top,
+                spanHeight: 0,
+                bottom: top + height
+            };
+        });
+        
+        // Span bars end at their end date on the final (pushed) scale
+        const positionOf = (time) => {
+            let extra = 0;
+            pushes.forEach((push) => {
+                if (push.time <= time) extra = push.offset;
+            });
+            return base.get(time) + extra;
+        };
+        
+        spans.forEach(({ end }, index) => {
+            if (end !== null) {
+                items[index].spanHeight = Math.max(positionOf(end) - items[index].spanTop, 0);
+            }
+        });
+        
+        const bottom = items.reduce((max, item) => Math.max(max, item.bottom, item.spanTop + item.spanHeight), 0);
+        
+        return {
+            items,
+            laneCount,
+            height: Math.ceil(bottom + this.options.paddingBottom)
+        };
+    }
+    
+    /**
+     * Unpushed position of every start and end date: proportional, with gaps capped at maxGap
+     */
+    scaleTimes(spans) {
+        const times = Array.from(new Set(spans.reduce((all, span) => {
+            all.push(span.start);
+            if (span.end !== null) all.push(span.end);
+            return all;
+        }, []))).sort((a, b) => a - b);
+        
+        const base = new Map();
+        let y = this.options.paddingTop;
+        
+        times.forEach((time, i) => {
+            if (i > 0) {
+                const distance = (time - times[i - 1]) / YEAR_MS * this.options.pixelsPerYear;
+                y += Math.min(distance, this.options.maxGap);
+            }
+            base.set(time, y);
+        });
+        
+        return base;
+    }
+    
+    /**
+     * Lane per date range (null for single dates): overlapping ranges never share a lane
+     */
+    assignLanes(spans, order) {
+        const lanes = new Array(spans.length).fill(null);
+        const laneEnds = [];
+        
+        order.forEach((index) => {
+            const { start, end } = spans[index];
+            if (end === null) return;
+            
+            let lane = laneEnds.findIndex(laneEnd => laneEnd <= start);
+            if (lane === -1) {
+                lane = laneEnds.length;
+                laneEnds.push(end);
+            } else {
+                laneEnds[lane] = end;
+            }
+            lanes[index] = lane;
+        });
+        
+        return { lanes, laneCount: laneEnds.length };
+    }
+    
+    /**
+     * Column for the next card: the other side when it has room, else whichever frees up first
+     */
+    pickColumn(columnBottoms, top, lastColumn) {
+        if (columnBottoms.length === 1) return 0;
+        
+        const preferred = lastColumn === 0 ? 1 : 0;
+        const other = 1 - preferred;
+        
+        if (columnBottoms[preferred] <= top) return preferred;
+        if (columnBottoms[other] <= top) return other;
+        return columnBottoms[preferred] <= columnBottoms[other] ? preferred : other;
+    }
+}